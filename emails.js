@@ -0,0 +1,475 @@
+// ------------------------------------------------------
+// Email templates
+// ------------------------------------------------------
+// Every outgoing email is built here and returns { subject, html, text }
+// for mailer.send(). Values interpolated with the `html` tag are escaped,
+// so user input (names, messages, stack traces, user agents) can't inject
+// markup into our inbox. Branding lives in layout() only.
+
+const BRAND = "BlockSocialMedia";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// Markup that has already been escaped (or is ours)
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  return escapeHtml(value);
+}
+
+// Tagged template: html`<p>${userInput}</p>` escapes userInput
+export function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce(
+      (out, str, i) =>
+        out + str + (i < values.length ? renderValue(values[i]) : ""),
+      ""
+    )
+  );
+}
+
+// Subjects end up in a header; keep them on one line
+function oneLine(value, max = 150) {
+  return String(value ?? "")
+    .replace(/[\r\n]+/g, " ")
+    .trim()
+    .slice(0, max);
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
+}
+
+// Shared shell for every email: branded header, body, footer
+function layout({ title, subtitle, body, text, footer, width = 600 }) {
+  const htmlOut = html`
+    <div
+      style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif; background:#f3f4f6; padding:24px;"
+    >
+      <div
+        style="max-width:${width}px; margin:0 auto; background:#ffffff; border-radius:16px; box-shadow:0 10px 30px rgba(15,23,42,0.12); overflow:hidden;"
+      >
+        <div
+          style="background:linear-gradient(135deg,#4f46e5,#7c3aed); padding:18px 24px; color:#ffffff;"
+        >
+          <h1 style="margin:0; font-size:20px; font-weight:600;">${title}</h1>
+          ${subtitle &&
+          html`<p style="margin:4px 0 0; font-size:13px; opacity:0.9;">
+            ${subtitle}
+          </p>`}
+        </div>
+        <div style="padding:24px 24px 20px;">
+          ${body}
+          <hr
+            style="border:none; border-top:1px solid #e5e7eb; margin:18px 0 14px;"
+          />
+          <p style="margin:0; font-size:11px; color:#9ca3af; line-height:1.5;">
+            Sent by <strong>${BRAND} · SaveTime</strong>
+            ${footer && html`<br />${footer}`}
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const textOut = [
+    title,
+    subtitle,
+    "",
+    text.trim(),
+    "",
+    "--",
+    `Sent by ${BRAND} · SaveTime`,
+    footer,
+  ]
+    .filter((line) => line !== undefined && line !== null)
+    .join("\n");
+
+  return { html: htmlOut.toString(), text: textOut };
+}
+
+// ------------------------------------------------------
+// Templates
+// ------------------------------------------------------
+export function feedbackEmail({
+  rating,
+  type,
+  name,
+  email,
+  message,
+  ip,
+  location,
+  device,
+  userAgent,
+  receivedAt = new Date(),
+}) {
+  const stars = "★".repeat(rating) + "☆".repeat(5 - rating);
+  const ua = userAgent.length > 80 ? `${userAgent.slice(0, 80)}...` : userAgent;
+  const place = `${location.city}, ${location.region}, ${location.country}`;
+
+  const body = html`
+    <p style="margin:0 0 16px; font-size:24px; text-align:center;">${stars}</p>
+    <h3 style="margin:0 0 8px; color:#374151; font-size:15px;">
+      👤 User Details
+    </h3>
+    <p style="margin:4px 0;"><strong>Name:</strong> ${name}</p>
+    <p style="margin:4px 0;">
+      <strong>Email:</strong>
+      <a href="mailto:${email}" style="color:#4f46e5;">${email}</a>
+    </p>
+    <p style="margin:4px 0 16px;">
+      <strong>Type:</strong>
+      <span
+        style="background:#dbeafe; padding:2px 10px; border-radius:20px; color:#1e40af;"
+        >${type}</span
+      >
+    </p>
+
+    <h3 style="margin:0 0 8px; color:#374151; font-size:15px;">📍 Location</h3>
+    <p style="margin:4px 0;"><strong>IP:</strong> <code>${ip}</code></p>
+    <p style="margin:4px 0 16px;"><strong>Location:</strong> ${place}</p>
+
+    <div
+      style="background:#f8fafc; border:2px solid #e2e8f0; border-radius:12px; padding:20px; margin:16px 0;"
+    >
+      <h3 style="margin:0 0 12px; color:#1f2937; font-size:15px;">
+        💬 User Message
+      </h3>
+      <pre
+        style="margin:0; font-family:inherit; font-size:15px; line-height:1.6; color:#374151; white-space:pre-wrap;"
+      >
+${message}</pre
+      >
+    </div>
+
+    <div
+      style="background:#f1f5f9; border-radius:12px; padding:16px; font-size:14px;"
+    >
+      <h3 style="margin:0 0 10px; color:#1e293b; font-size:15px;">
+        🖥️ Device & Browser
+        ${device.isExtension &&
+        html`<span
+          style="background:#10b981; color:white; padding:2px 8px; border-radius:12px; font-size:12px;"
+          >EXTENSION</span
+        >`}
+      </h3>
+      <div><strong>Browser:</strong> ${device.browser}</div>
+      <div><strong>OS:</strong> ${device.os}</div>
+      <div><strong>Device:</strong> ${device.device}</div>
+      <div><strong>User Agent:</strong> ${ua}</div>
+    </div>
+
+    <p
+      style="margin:16px 0 0; text-align:center; color:#6b7280; font-size:13px;"
+    >
+      Received: ${formatDateTime(receivedAt)}
+    </p>
+  `;
+
+  const text = `
+${stars} (${rating}/5)
+
+Name: ${name}
+Email: ${email}
+Type: ${type}
+IP: ${ip}
+Location: ${place}
+
+Message:
+${message}
+
+Browser: ${device.browser} | OS: ${device.os} | Device: ${device.device}${
+    device.isExtension ? " | Extension" : ""
+  }
+User Agent: ${ua}
+Received: ${formatDateTime(receivedAt)}
+`;
+
+  return {
+    subject: oneLine(`New Feedback – ${rating} ★ – ${type} from ${name}`),
+    ...layout({
+      title: "📩 New User Feedback",
+      subtitle: `${rating}/5 Stars`,
+      body,
+      text,
+      width: 700,
+    }),
+  };
+}
+
+// One server-side digest of error groups that are new or regressed since
+// the previous digest. `groups` are ErrorGroup documents.
+export function errorDigestEmail({
+  since,
+  newGroups,
+  regressedGroups,
+  totals,
+}) {
+  const period = `since ${new Date(since).toUTCString()}`;
+
+  const groupHtml = (group) => html`
+    <div
+      style="border-left:4px solid #f44336; padding:12px 15px; margin:12px 0; background:#fafafa;"
+    >
+      <h3 style="margin:0 0 6px; font-size:15px;">${group.context}</h3>
+      <p style="margin:0 0 6px;">${group.message}</p>
+      <p style="margin:0; font-size:12px; color:#6b7280;">
+        ${group.count} events · ${group.userCount} users · last
+        ${group.lastVersion || "unknown version"} · ${group.fingerprint}
+      </p>
+      ${group.topFrame &&
+      html`<pre style="font-size:11px; overflow:auto; margin:6px 0 0;">
+${group.topFrame}</pre
+      >`}
+    </div>
+  `;
+
+  const section = (title, groups) =>
+    groups.length
+      ? html`<h2 style="font-size:16px; margin:20px 0 4px;">
+            ${title} (${groups.length})
+          </h2>
+          ${groups.map(groupHtml)}`
+      : "";
+
+  const body = html`
+    <div
+      style="background:#fff3cd; padding:12px 15px; border-radius:8px; margin:0 0 16px;"
+    >
+      <strong>${totals.events}</strong> events in
+      <strong>${totals.groups}</strong> groups ${period}
+    </div>
+    ${section("🆕 New errors", newGroups)}
+    ${section("🔁 Regressed errors", regressedGroups)}
+  `;
+
+  const groupText = (group) =>
+    [
+      `- ${group.context}: ${group.message}`,
+      `  ${group.count} events, ${group.userCount} users, last ${
+        group.lastVersion || "unknown version"
+      } (${group.fingerprint})`,
+      group.topFrame && `  ${group.topFrame}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+  const text = [
+    `${totals.events} events in ${totals.groups} groups ${period}`,
+    newGroups.length && `\nNew errors (${newGroups.length}):`,
+    ...newGroups.map(groupText),
+    regressedGroups.length && `\nRegressed errors (${regressedGroups.length}):`,
+    ...regressedGroups.map(groupText),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const changed = newGroups.length + regressedGroups.length;
+
+  return {
+    subject: `📊 Extension Errors: ${newGroups.length} new, ${regressedGroups.length} regressed`,
+    ...layout({
+      title: "📊 Daily Extension Error Digest",
+      subtitle: `${changed} error groups need a look`,
+      body,
+      text,
+      footer: "Auto-generated daily digest",
+      width: 700,
+    }),
+  };
+}
+
+// Shared body for every one-time-code email
+function codeEmail({
+  subject,
+  title,
+  intro,
+  otp,
+  validMinutes,
+  ignoreNote,
+  footer,
+}) {
+  const body = html`
+    <p style="margin:0 0 12px; font-size:14px; color:#111827;">${intro}</p>
+    <div
+      style="margin:16px 0 18px; padding:14px 20px; background:#111827; color:#f9fafb; font-size:26px; font-weight:700; letter-spacing:8px; text-align:center; border-radius:12px;"
+    >
+      ${otp}
+    </div>
+    <p style="margin:0 0 8px; font-size:13px; color:#4b5563;">
+      This code is valid for <strong>${validMinutes} minutes</strong>. For your
+      security, do not share it with anyone.
+    </p>
+    <p style="margin:0; font-size:13px; color:#6b7280;">${ignoreNote}</p>
+  `;
+
+  const text = `
+${intro}
+
+    ${otp}
+
+This code is valid for ${validMinutes} minutes. For your security, do not share it with anyone.
+${ignoreNote}
+`;
+
+  return {
+    subject,
+    ...layout({
+      title,
+      subtitle: `${title} - ${BRAND}`,
+      body,
+      text,
+      footer,
+      width: 480,
+    }),
+  };
+}
+
+export function pinOtpEmail({ otp, validMinutes = 2 }) {
+  return codeEmail({
+    subject: "Block Social Media - PIN Reset Code",
+    title: "PIN Reset Code",
+    intro: "Use the following one-time code to reset your PIN.",
+    otp,
+    validMinutes,
+    ignoreNote:
+      "If you did not request a PIN reset, you can safely ignore this email. Your existing PIN will remain active.",
+    footer:
+      "You are receiving this email because a PIN reset was requested from the Chrome extension.",
+  });
+}
+
+export function emailVerificationEmail({ otp, validMinutes }) {
+  return codeEmail({
+    subject: "Block Social Media - Verify your email",
+    title: "Verify your email",
+    intro: "Enter this code in the extension to confirm your email address.",
+    otp,
+    validMinutes,
+    ignoreNote:
+      "If you didn't create a BlockSocialMedia account, you can ignore this email.",
+    footer:
+      "You are receiving this email because this address was used to sign up.",
+  });
+}
+
+export function passwordResetEmail({ otp, validMinutes }) {
+  return codeEmail({
+    subject: "Block Social Media - Password Reset Code",
+    title: "Password Reset Code",
+    intro: "Use the following one-time code to choose a new password.",
+    otp,
+    validMinutes,
+    ignoreNote:
+      "If you did not request a password reset, you can safely ignore this email. Your password will not change.",
+    footer:
+      "You are receiving this email because a password reset was requested for your account.",
+  });
+}
+
+export function accountDeletionEmail({ otp, validMinutes }) {
+  return codeEmail({
+    subject: "Block Social Media - Confirm account deletion",
+    title: "Confirm account deletion",
+    intro:
+      "Use the following one-time code to permanently delete your account and its data.",
+    otp,
+    validMinutes,
+    ignoreNote:
+      "If you did not ask to delete your account, ignore this email and consider changing your password.",
+    footer:
+      "You are receiving this email because account deletion was requested from the extension.",
+  });
+}
+
+export function familyInviteEmail({ ownerEmail, email }) {
+  const body = html`
+    <p style="margin:0 0 12px; font-size:14px; color:#111827;">
+      <strong>${ownerEmail}</strong> shared their ${BRAND} Premium plan with
+      you.
+    </p>
+    <p style="margin:0; font-size:14px; color:#111827;">
+      Sign in to the extension with <strong>${email}</strong> and accept the
+      invite from the Premium tab.
+    </p>
+  `;
+
+  const text = `
+${ownerEmail} shared their ${BRAND} Premium plan with you.
+Sign in to the extension with ${email} and accept the invite from the Premium tab.
+`;
+
+  return {
+    subject: oneLine(`${ownerEmail} invited you to ${BRAND} Premium`),
+    ...layout({ title: "You're invited! 🎉", body, text, width: 480 }),
+  };
+}
+
+export function premiumExpiryReminderEmail({ expiresAt, now = new Date() }) {
+  const daysLeft = Math.max(
+    1,
+    Math.ceil((new Date(expiresAt) - now) / (24 * 60 * 60 * 1000))
+  );
+  const date = new Date(expiresAt).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const days = `${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
+
+  const body = html`
+    <p style="margin:0 0 12px; font-size:14px; color:#111827;">
+      Your ${BRAND} Premium ends in <strong>${days}</strong>, on ${date}.
+    </p>
+    <p style="margin:0; font-size:14px; color:#111827;">
+      Renew from the Premium tab in the extension to keep your blocks and focus
+      sessions running without interruption.
+    </p>
+  `;
+
+  const text = `
+Your ${BRAND} Premium ends in ${days}, on ${date}.
+Renew from the Premium tab in the extension to keep your blocks and focus sessions running without interruption.
+`;
+
+  return {
+    subject: `Your ${BRAND} Premium expires in ${days}`,
+    ...layout({
+      title: "Premium is ending soon ⏳",
+      body,
+      text,
+      footer:
+        "You are receiving this email because you have BlockSocialMedia Premium.",
+      width: 480,
+    }),
+  };
+}
@@ -0,0 +1,29 @@
+// ------------------------------------------------------
+// Numeric settings from the environment
+// ------------------------------------------------------
+// A typo in a numeric variable must not turn into NaN, which silently
+// disables whatever limit it configures. Bad values fall back to the
+// default with a warning at startup.
+
+// Number from `env[name]`, or `fallback` when unset, not a number or below
+// `min`. `integer` also rejects fractions (counts, attempts).
+export function numberFromEnv(
+  name,
+  fallback,
+  { env = process.env, min = 0, integer = false } = {}
+) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (
+    !Number.isFinite(value) ||
+    value < min ||
+    (integer && !Number.isInteger(value))
+  ) {
+    console.warn(
+      `⚠️ ${name}="${raw}" is not a valid number, using ${fallback}`
+    );
+    return fallback;
+  }
+  return value;
+}
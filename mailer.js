@@ -0,0 +1,268 @@
+// ------------------------------------------------------
+// Mailer: one send() for every outgoing email
+// ------------------------------------------------------
+// Transports are picked by configuration and tried in order. Each one is
+// retried with backoff before failing over to the next. The "outbox"
+// transport writes messages to disk so email flows can be tested offline.
+//
+//   MAIL_TRANSPORTS=resend,brevo     order for every message
+//   MAIL_TRANSPORTS_USER=...         override for mail to end users
+//   MAIL_TRANSPORTS_INTERNAL=...     override for mail to our own inbox
+//   MAIL_RETRIES=2, MAIL_RETRY_DELAY_MS=500
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import { Resend } from "resend";
+import { numberFromEnv } from "./env.js";
+
+const DEFAULT_FROM = "BlockSocialMedia <onboarding@resend.dev>";
+const DEFAULT_GAS_URL =
+  "https://script.google.com/macros/s/AKfycbwMsK8NS1iIWauAwhniDcmDjSn1x5Ha-780GVSdFNuDRRJwJ0qV4rsIzl5b6tlW8W9ynQ/exec";
+
+// Resend's onboarding sender only delivers to the account owner, so mail to
+// end users goes through Apps Script unless configured otherwise.
+const DEFAULT_CHAINS = {
+  internal: ["resend"],
+  user: ["apps_script"],
+};
+
+// "Name <addr@x>" -> { name, email }
+function parseAddress(from) {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(from || "");
+  if (!match) return { name: undefined, email: from };
+  return { name: match[1] || undefined, email: match[2] };
+}
+
+function withName(from, name) {
+  if (!name) return from;
+  return `${name} <${parseAddress(from).email}>`;
+}
+
+// 4xx responses other than 429 won't get better by retrying
+function isPermanent(err) {
+  const status = err.statusCode ?? err.response?.status;
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ------------------------------------------------------
+// Transports: { name, send(message) -> { id } }
+// ------------------------------------------------------
+function resendTransport({ apiKey }) {
+  const client = new Resend(apiKey);
+  return {
+    name: "resend",
+    async send(msg) {
+      const { data, error } = await client.emails.send({
+        from: msg.from,
+        to: msg.to,
+        subject: msg.subject,
+        html: msg.html,
+        text: msg.text,
+        replyTo: msg.replyTo,
+      });
+      if (error) {
+        const err = new Error(`Resend: ${error.message}`);
+        err.statusCode = error.statusCode;
+        throw err;
+      }
+      return { id: data?.id };
+    },
+  };
+}
+
+function appsScriptTransport({ url, key }) {
+  return {
+    name: "apps_script",
+    async send(msg) {
+      // The script only takes a single recipient and an HTML body
+      const { data } = await axios.post(
+        url,
+        {
+          key,
+          to: [].concat(msg.to).join(","),
+          subject: msg.subject,
+          body: msg.html,
+        },
+        { timeout: 15000 }
+      );
+      return { id: data?.id };
+    },
+  };
+}
+
+function brevoTransport({ apiKey, sender }) {
+  return {
+    name: "brevo",
+    async send(msg) {
+      const from = parseAddress(sender || msg.from);
+      const { data } = await axios.post(
+        "https://api.brevo.com/v3/smtp/email",
+        {
+          sender: { name: parseAddress(msg.from).name, email: from.email },
+          to: [].concat(msg.to).map((email) => ({ email })),
+          subject: msg.subject,
+          htmlContent: msg.html,
+          textContent: msg.text,
+          ...(msg.replyTo && { replyTo: { email: msg.replyTo } }),
+        },
+        { headers: { "api-key": apiKey }, timeout: 15000 }
+      );
+      return { id: data?.messageId };
+    },
+  };
+}
+
+function smtpTransport({ host, port, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: { user, pass },
+  });
+  return {
+    name: "smtp",
+    async send(msg) {
+      const info = await transporter.sendMail({
+        // Most SMTP providers reject a From that isn't the login
+        from: withName(user, parseAddress(msg.from).name),
+        to: msg.to,
+        subject: msg.subject,
+        html: msg.html,
+        text: msg.text,
+        replyTo: msg.replyTo,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+function outboxTransport({ dir }) {
+  return {
+    name: "outbox",
+    async send(msg) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date(), ...msg }, null, 2)
+      );
+      return { id };
+    },
+  };
+}
+
+// Build every transport whose credentials are present in `env`
+export function createTransportsFromEnv(env = process.env) {
+  const transports = {};
+
+  if (env.RESEND_API_KEY) {
+    transports.resend = resendTransport({ apiKey: env.RESEND_API_KEY });
+  }
+  if (env.GAS_KEY) {
+    transports.apps_script = appsScriptTransport({
+      url: env.GAS_MAIL_URL || DEFAULT_GAS_URL,
+      key: env.GAS_KEY,
+    });
+  }
+  if (env.BREVO_API_KEY) {
+    transports.brevo = brevoTransport({
+      apiKey: env.BREVO_API_KEY,
+      sender: env.BREVO_SENDER || env.EMAIL_USER,
+    });
+  }
+  if (env.EMAIL_USER && env.EMAIL_PASS) {
+    transports.smtp = smtpTransport({
+      host: env.SMTP_HOST || "smtp.gmail.com",
+      port: Number(env.SMTP_PORT) || 465,
+      user: env.EMAIL_USER,
+      pass: env.EMAIL_PASS,
+    });
+  }
+  transports.outbox = outboxTransport({
+    dir: env.MAIL_OUTBOX_DIR || "./outbox",
+  });
+
+  return transports;
+}
+
+function parseChain(value) {
+  return value
+    ?.split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+export function createMailer({
+  env = process.env,
+  transports = createTransportsFromEnv(env),
+} = {}) {
+  const retries = numberFromEnv("MAIL_RETRIES", 2, { env, integer: true });
+  const retryDelayMs = numberFromEnv("MAIL_RETRY_DELAY_MS", 500, { env });
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  const chains = {};
+  for (const category of Object.keys(DEFAULT_CHAINS)) {
+    const names =
+      parseChain(env[`MAIL_TRANSPORTS_${category.toUpperCase()}`]) ||
+      parseChain(env.MAIL_TRANSPORTS) ||
+      DEFAULT_CHAINS[category];
+
+    chains[category] = names.filter((name) => {
+      if (transports[name]) return true;
+      console.warn(`⚠️ Mail transport "${name}" is not configured, skipping`);
+      return false;
+    });
+  }
+
+  async function sendWith(transport, msg) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { id } = await transport.send(msg);
+        return { transport: transport.name, id, attempts: attempt };
+      } catch (err) {
+        if (attempt > retries || isPermanent(err)) {
+          err.attempts = attempt;
+          throw err;
+        }
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  return {
+    chains,
+
+    // message: { to, subject, html, text?, replyTo?, fromName?,
+    //            category: "user" | "internal" }
+    async send({ category = "user", fromName, ...message }) {
+      const chain = chains[category];
+      if (!chain?.length) {
+        throw new Error(`No mail transport configured for "${category}"`);
+      }
+
+      const msg = { ...message, from: withName(from, fromName) };
+      const failures = [];
+
+      for (const name of chain) {
+        try {
+          return await sendWith(transports[name], msg);
+        } catch (err) {
+          failures.push(`${name}: ${err.message}`);
+          console.warn(
+            `⚠️ Mail via ${name} failed after ${err.attempts} attempt(s): ${err.message}`
+          );
+        }
+      }
+
+      const err = new Error(
+        `All mail transports failed (${failures.join("; ")})`
+      );
+      err.failures = failures;
+      throw err;
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// ------------------------------------------------------
+// One-time codes for every purpose (PIN reset, email verification, ...)
+// ------------------------------------------------------
+// Codes come from the CSPRNG and only an HMAC of each code is stored, so a
+// database dump doesn't reveal live codes. Guessing is limited per code
+// (OTP_MAX_ATTEMPTS) and per email across all codes and purposes
+// (OTP_MAX_FAILURES per OTP_WINDOW_MINUTES). Sending is limited by a
+// cooldown per (email, purpose) and a cap per email per window.
+//
+//   OTP_MAX_ATTEMPTS=5, OTP_MAX_FAILURES=10, OTP_MAX_SENDS=6,
+//   OTP_RESEND_SECONDS=60, OTP_WINDOW_MINUTES=60
+import crypto from "crypto";
+import { numberFromEnv } from "./env.js";
+
+const secondsUntil = (at) =>
+  Math.max(1, Math.ceil((new Date(at).getTime() - Date.now()) / 1000));
+
+function throttled(message, code, retryAt) {
+  const err = new Error(message);
+  err.statusCode = 429;
+  err.code = code;
+  err.retryAfter = secondsUntil(retryAt);
+  return err;
+}
+
+export function createOtpService({
+  Otp,
+  OtpGuard,
+  secret,
+  ttlMinutes, // { [purpose]: minutes }
+  env = process.env,
+}) {
+  // A bad value falls back to the default; a NaN limit would fail every
+  // verification or turn throttling off
+  const count = (name, fallback) =>
+    numberFromEnv(name, fallback, { env, min: 1, integer: true });
+  const maxAttempts = count("OTP_MAX_ATTEMPTS", 5);
+  const maxFailures = count("OTP_MAX_FAILURES", 10);
+  const maxSends = count("OTP_MAX_SENDS", 6);
+  const resendMs = numberFromEnv("OTP_RESEND_SECONDS", 60, { env }) * 1000;
+  const windowMs =
+    numberFromEnv("OTP_WINDOW_MINUTES", 60, { env, min: 1 }) * 60 * 1000;
+
+  const hash = (email, purpose, code) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${email}|${purpose}|${code}`)
+      .digest("hex");
+
+  // The TTL monitor only runs once a minute, so expired windows may linger
+  async function currentGuard(email) {
+    await OtpGuard.deleteMany({ email, expiresAt: { $lte: new Date() } });
+    return OtpGuard.findOne({ email }).lean();
+  }
+
+  async function bump(email, field) {
+    const update = {
+      $inc: { [field]: 1 },
+      $setOnInsert: { expiresAt: new Date(Date.now() + windowMs) },
+    };
+    try {
+      await OtpGuard.updateOne({ email }, update, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await OtpGuard.updateOne({ email }, update); // lost the insert race
+    }
+  }
+
+  return {
+    // Replace any outstanding code for (email, purpose) with a fresh one.
+    // Throws (statusCode 429, retryAfter seconds) when sending too often.
+    async issue(email, purpose) {
+      const minutes = ttlMinutes[purpose];
+      if (!minutes) throw new Error(`Unknown OTP purpose "${purpose}"`);
+
+      const guard = await currentGuard(email);
+      if (guard?.sends >= maxSends) {
+        throw throttled(
+          "Too many codes requested. Try again later.",
+          "otp_send_limit",
+          guard.expiresAt
+        );
+      }
+
+      const previous = await Otp.findOne({ email, purpose }, { createdAt: 1 })
+        .sort({ createdAt: -1 })
+        .lean();
+      if (previous && Date.now() - previous.createdAt < resendMs) {
+        throw throttled(
+          "Please wait before requesting another code.",
+          "otp_resend_cooldown",
+          previous.createdAt.getTime() + resendMs
+        );
+      }
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+      await bump(email, "sends");
+      await Otp.deleteMany({ email, purpose });
+      await Otp.create({
+        email,
+        purpose,
+        codeHash: hash(email, purpose, code),
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      });
+
+      return { code, validMinutes: minutes };
+    },
+
+    // Check a code; it is used up once it matches. Returns { ok: true } or
+    // { ok: false, reason: "invalid" | "locked", attemptsLeft?, retryAfter? }
+    async verify(email, purpose, code) {
+      const guard = await currentGuard(email);
+      if (guard?.failures >= maxFailures) {
+        return {
+          ok: false,
+          reason: "locked",
+          retryAfter: secondsUntil(guard.expiresAt),
+        };
+      }
+
+      // Count the attempt before comparing so parallel guesses can't
+      // exceed maxAttempts
+      const record = await Otp.findOneAndUpdate(
+        {
+          email,
+          purpose,
+          expiresAt: { $gt: new Date() },
+          attempts: { $lt: maxAttempts },
+        },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      const expected = record ? Buffer.from(record.codeHash, "hex") : null;
+      const given = Buffer.from(hash(email, purpose, String(code)), "hex");
+
+      if (expected && crypto.timingSafeEqual(expected, given)) {
+        await Otp.deleteMany({ email, purpose });
+        await OtpGuard.updateOne({ email }, { $set: { failures: 0 } });
+        return { ok: true };
+      }
+
+      await bump(email, "failures");
+      if (record && record.attempts >= maxAttempts) {
+        await Otp.deleteOne({ _id: record._id }); // request a new code
+      }
+      return {
+        ok: false,
+        reason: "invalid",
+        attemptsLeft: record ? maxAttempts - record.attempts : 0,
+      };
+    },
+
+    // Drop outstanding codes, e.g. on logout
+    async revoke(email, purpose) {
+      await Otp.deleteMany({ email, purpose });
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// ------------------------------------------------------
+// In-memory stand-in for the Razorpay SDK
+// ------------------------------------------------------
+// Enabled with RAZORPAY_MOCK=true so orders, payment links and recurring
+// subscriptions can be exercised offline. Only the calls server.js makes
+// are implemented; entities mimic the shape of the real API responses.
+import crypto from "crypto";
+
+function mockId(prefix) {
+  return `${prefix}_mock${crypto.randomBytes(7).toString("hex")}`;
+}
+
+function unixNow() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Same shape the SDK rejects with for API errors
+function notFound(kind, id) {
+  const err = new Error(`The id provided does not exist: ${kind} ${id}`);
+  err.statusCode = 400;
+  err.error = {
+    code: "BAD_REQUEST_ERROR",
+    description: "The id provided does not exist",
+  };
+  return err;
+}
+
+export function createRazorpayMock() {
+  const store = {
+    orders: new Map(),
+    paymentLinks: new Map(),
+    plans: new Map(),
+    subscriptions: new Map(),
+    payments: new Map(),
+  };
+
+  const fetcher = (map, kind) => async (id) => {
+    const entity = map.get(id);
+    if (!entity) throw notFound(kind, id);
+    return entity;
+  };
+
+  const save = (map, entity) => {
+    map.set(entity.id, entity);
+    return entity;
+  };
+
+  return {
+    orders: {
+      create: async (data) =>
+        save(store.orders, {
+          id: mockId("order"),
+          entity: "order",
+          status: "created",
+          amount_paid: 0,
+          amount_due: data.amount,
+          notes: {},
+          created_at: unixNow(),
+          ...data,
+        }),
+      fetch: fetcher(store.orders, "order"),
+    },
+
+    paymentLink: {
+      create: async (data) => {
+        const id = mockId("plink");
+        return save(store.paymentLinks, {
+          id,
+          short_url: `https://rzp.io/mock/${id}`,
+          status: "created",
+          created_at: unixNow(),
+          ...data,
+        });
+      },
+      fetch: fetcher(store.paymentLinks, "payment_link"),
+    },
+
+    plans: {
+      create: async (data) =>
+        save(store.plans, {
+          id: mockId("plan"),
+          entity: "plan",
+          created_at: unixNow(),
+          ...data,
+        }),
+      fetch: fetcher(store.plans, "plan"),
+    },
+
+    subscriptions: {
+      create: async (data) => {
+        const id = mockId("sub");
+        return save(store.subscriptions, {
+          id,
+          entity: "subscription",
+          status: "created",
+          paid_count: 0,
+          short_url: `https://rzp.io/mock/${id}`,
+          notes: {},
+          created_at: unixNow(),
+          ...data,
+        });
+      },
+      fetch: fetcher(store.subscriptions, "subscription"),
+      cancel: async (id, cancelAtCycleEnd = false) => {
+        const sub = await fetcher(store.subscriptions, "subscription")(id);
+        if (cancelAtCycleEnd) {
+          sub.has_scheduled_changes = true;
+        } else {
+          sub.status = "cancelled";
+          sub.ended_at = unixNow();
+        }
+        return sub;
+      },
+    },
+
+    payments: {
+      fetch: fetcher(store.payments, "payment"),
+    },
+
+    // Test hook: inspect or seed entities directly
+    _store: store,
+  };
+}
@@ -0,0 +1,158 @@
+// ------------------------------------------------------
+// In-process job scheduler with persisted state
+// ------------------------------------------------------
+// Each job has one document in the `JobState` model holding its next run
+// time and a lease. An instance only runs a job after atomically claiming
+// a due, unleased document, so a job never runs twice at once across
+// instances, and a restart picks up the stored schedule instead of running
+// everything again.
+import os from "os";
+import crypto from "crypto";
+
+// Schedules: first(now) is the initial run time, next(now) the one after a
+// successful run
+export function every(ms, { runOnStart = true } = {}) {
+  return {
+    first: (now) => (runOnStart ? now : new Date(now.getTime() + ms)),
+    next: (now) => new Date(now.getTime() + ms),
+  };
+}
+
+export function dailyAt(hourUtc) {
+  const next = (now) => {
+    const at = new Date(now);
+    at.setUTCHours(hourUtc, 0, 0, 0);
+    if (at <= now) at.setUTCDate(at.getUTCDate() + 1);
+    return at;
+  };
+  return { first: next, next };
+}
+
+export function createScheduler({
+  JobState,
+  pollMs = 60 * 1000,
+  leaseMs = 10 * 60 * 1000,
+  retryMs = 15 * 60 * 1000,
+}) {
+  const instanceId = `${os.hostname()}:${process.pid}:${crypto
+    .randomBytes(3)
+    .toString("hex")}`;
+  const jobs = new Map();
+  let timer = null;
+  let ticking = false;
+
+  async function ensureState(name, job) {
+    try {
+      await JobState.updateOne(
+        { name },
+        { $setOnInsert: { nextRunAt: job.schedule.first(new Date()) } },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err; // another instance inserted it
+    }
+  }
+
+  // Claim the job if it's due and nobody holds a live lease on it
+  async function claim(name, now) {
+    return JobState.findOneAndUpdate(
+      {
+        name,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          lastStartedAt: now,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  async function runJob(name) {
+    const job = jobs.get(name);
+    const now = new Date();
+
+    await ensureState(name, job);
+    const state = await claim(name, now);
+    if (!state) return null;
+
+    const release = (fields) =>
+      JobState.updateOne(
+        { name, lockedBy: instanceId },
+        { $set: { ...fields, lockedBy: null, lockedUntil: null } }
+      );
+
+    try {
+      const result = await job.run({ now, lastSuccessAt: state.lastSuccessAt });
+      await release({
+        lastStatus: "ok",
+        lastError: null,
+        lastResult: result ?? null,
+        lastSuccessAt: now,
+        lastFinishedAt: new Date(),
+        nextRunAt: job.schedule.next(now),
+      });
+      console.log(`⏱️ Job ${name} finished`, result ?? "");
+      return { status: "ok", result };
+    } catch (err) {
+      console.error(`❌ Job ${name} failed:`, err);
+      await release({
+        lastStatus: "failed",
+        lastError: err.message,
+        lastFinishedAt: new Date(),
+        nextRunAt: new Date(Date.now() + retryMs),
+      });
+      return { status: "failed", error: err.message };
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const name of jobs.keys()) {
+        await runJob(name).catch((err) =>
+          console.error(`❌ Job ${name} could not be claimed:`, err)
+        );
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    instanceId,
+
+    // job: { schedule: every(ms) | dailyAt(hour), run({ now, lastSuccessAt }) }
+    define(name, job) {
+      jobs.set(name, job);
+    },
+
+    start() {
+      if (timer) return;
+      console.log(`⏱️ Scheduler started (${jobs.size} jobs, ${instanceId})`);
+      tick();
+      timer = setInterval(tick, pollMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // Make a job due now; the next tick (on whichever instance) runs it
+    async trigger(name) {
+      if (!jobs.has(name)) throw new Error(`Unknown job "${name}"`);
+      await ensureState(name, jobs.get(name));
+      await JobState.updateOne({ name }, { $set: { nextRunAt: new Date() } });
+      tick();
+    },
+
+    jobNames: () => [...jobs.keys()],
+  };
+}
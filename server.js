@@ -4,6 +4,7 @@ import cors from "cors";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import Razorpay from "razorpay";
+import axios from "axios";
 import geoip from "geoip-lite";
 import rateLimit from "express-rate-limit";
 import paypal from "@paypal/checkout-server-sdk";
@@ -12,13 +13,25 @@ import jwt from "jsonwebtoken";
 import { OAuth2Client } from "google-auth-library";
 import helmet from "helmet";
 import bcrypt from "bcryptjs";
-import axios from "axios";
+import { createRazorpayMock } from "./razorpayMock.js";
+import { createMailer } from "./mailer.js";
+import { createScheduler, every, dailyAt } from "./scheduler.js";
+import { createOtpService } from "./otp.js";
+import { numberFromEnv } from "./env.js";
+import {
+  feedbackEmail,
+  errorDigestEmail,
+  pinOtpEmail,
+  emailVerificationEmail,
+  passwordResetEmail,
+  accountDeletionEmail,
+  familyInviteEmail,
+  premiumExpiryReminderEmail,
+} from "./emails.js";
 
 dotenv.config();
 
-import { Resend } from "resend";
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+const mailer = createMailer();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -43,10 +56,14 @@ app.use(helmet());
 // ------------------------------------------------------
 // Razorpay Client Setup
 // ------------------------------------------------------
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+// RAZORPAY_MOCK=true swaps in an in-memory client for offline testing
+const razorpay =
+  process.env.RAZORPAY_MOCK === "true"
+    ? createRazorpayMock()
+    : new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      });
 
 const AppConfigSchema = new mongoose.Schema(
   {
@@ -59,53 +76,280 @@ const AppConfigSchema = new mongoose.Schema(
 
 const AppConfig = mongoose.model("AppConfig", AppConfigSchema);
 
-// Seed default prices if not already in DB
+// ------------------------------------------------------
+// Plan catalog (AppConfig "subscription_plans")
+// ------------------------------------------------------
+// Every purchasable item lives here. Amounts are in the minor unit of the
+// currency (paise / cents). `prices` holds the same plan in other
+// currencies, e.g. USD for PayPal.
+//   entitlement: "premium"          -> extends PaidUser by durationDays
+//   entitlement: "emergency_unlock" -> adds `credits` EmergencyUnlock records
+// Plans with `recurring` can also be sold as a Razorpay Subscription.
+const DEFAULT_SUBSCRIPTION_PLANS = {
+  monthly: {
+    amountPaise: 1200,
+    currency: "INR",
+    displayPrice: "₹12",
+    period: "/month",
+    description: "Billed monthly",
+    durationDays: 30,
+    entitlement: "premium",
+    prices: { USD: 199 },
+    recurring: { period: "monthly", interval: 1, totalCount: 120 },
+  },
+  yearly: {
+    amountPaise: 12000,
+    currency: "INR",
+    displayPrice: "₹120",
+    period: "/year",
+    description: "Billed yearly",
+    durationDays: 365,
+    entitlement: "premium",
+    prices: { USD: 1999 },
+    recurring: { period: "yearly", interval: 1, totalCount: 10 },
+  },
+  emergency: {
+    amountPaise: 2900,
+    currency: "INR",
+    displayPrice: "₹29",
+    period: "/unlock",
+    description: "One-time emergency unlock",
+    durationDays: 0,
+    credits: 1,
+    entitlement: "emergency_unlock",
+    prices: { USD: 99 },
+  },
+  family_yearly: {
+    amountPaise: 30000,
+    currency: "INR",
+    displayPrice: "₹300",
+    period: "/year",
+    description: "Up to 5 people, billed yearly",
+    durationDays: 365,
+    seats: 5, // includes the owner
+    entitlement: "premium",
+    prices: { USD: 4999 },
+  },
+};
+
+// Seed default prices if not already in DB. Older documents only carry
+// monthly/yearly display prices, so missing plans and fields are backfilled
+// without touching values that were already edited in the DB.
 async function seedDefaultPrices() {
   const existing = await AppConfig.findOne({ key: "subscription_plans" });
   if (!existing) {
     await AppConfig.create({
       key: "subscription_plans",
-      value: {
-        monthly: {
-          amountPaise: 1200,
-          displayPrice: "₹12",
-          period: "/month",
-          description: "Billed monthly",
-        },
-        yearly: {
-          amountPaise: 12000,
-          displayPrice: "₹120",
-          period: "/year",
-          description: "Billed yearly",
-        },
-      },
+      value: DEFAULT_SUBSCRIPTION_PLANS,
     });
     console.log("✅ Default subscription prices seeded to DB");
+    return;
+  }
+
+  const value = { ...existing.value };
+  let changed = false;
+  for (const [id, defaults] of Object.entries(DEFAULT_SUBSCRIPTION_PLANS)) {
+    const merged = { ...defaults, ...value[id] };
+    if (Object.keys(merged).length !== Object.keys(value[id] || {}).length) {
+      value[id] = merged;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await AppConfig.updateOne(
+      { key: "subscription_plans" },
+      { $set: { value, updatedAt: new Date() } }
+    );
+    console.log("✅ Subscription plan catalog backfilled");
+  }
+}
+
+async function getPlanCatalog() {
+  const config = await AppConfig.findOne({ key: "subscription_plans" }).lean();
+  const stored = config?.value || {};
+
+  const catalog = {};
+  for (const id of new Set([
+    ...Object.keys(DEFAULT_SUBSCRIPTION_PLANS),
+    ...Object.keys(stored),
+  ])) {
+    catalog[id] = { ...DEFAULT_SUBSCRIPTION_PLANS[id], ...stored[id] };
+  }
+  return catalog;
+}
+
+// Price of a plan in `currency`, in minor units, or null if not sold in it
+function planPrice(plan, currency) {
+  if (!plan || !currency) return null;
+  const code = currency.toUpperCase();
+  if ((plan.currency || "INR") === code) return plan.amountPaise;
+  return plan.prices?.[code] ?? null;
+}
+
+function resolvePlanById(catalog, planId) {
+  const plan = planId && catalog[planId];
+  if (!plan || !plan.entitlement) return null;
+  return { id: planId, ...plan };
+}
+
+function resolvePlanByAmount(catalog, amount, currency = "INR") {
+  for (const [id, plan] of Object.entries(catalog)) {
+    if (plan.entitlement && planPrice(plan, currency) === amount) {
+      return { id, ...plan };
+    }
+  }
+  return null;
+}
+
+// True when a provider-reported payment is exactly the catalog price,
+// less any coupon discount applied when the order was created
+function paymentMatchesPlan(plan, amount, currency, discount = 0) {
+  const expected = planPrice(plan, currency);
+  return expected !== null && expected - discount === Number(amount);
+}
+
+// ------------------------------------------------------
+// Regional price books (AppConfig "price_books")
+// ------------------------------------------------------
+// Maps a visitor's country to the currency, payment provider and locale
+// they are shown. Amounts come from the plan catalog (amountPaise in the
+// plan's own currency, `prices` for the rest), so verification keeps a
+// single price per plan and currency.
+const DEFAULT_PRICE_BOOKS = {
+  regions: [
+    {
+      id: "IN",
+      countries: ["IN"],
+      currency: "INR",
+      provider: "razorpay",
+      locale: "en-IN",
+    },
+  ],
+  fallback: {
+    id: "GLOBAL",
+    currency: "USD",
+    provider: "paypal",
+    locale: "en-US",
+  },
+};
+
+// ?country=XX on pricing routes is honoured only when this is enabled
+const ALLOW_COUNTRY_OVERRIDE = process.env.ALLOW_COUNTRY_OVERRIDE === "true";
+
+async function seedDefaultPriceBooks() {
+  const existing = await AppConfig.findOne({ key: "price_books" });
+  if (!existing) {
+    await AppConfig.create({ key: "price_books", value: DEFAULT_PRICE_BOOKS });
+    console.log("✅ Default price books seeded to DB");
+  }
+}
+
+async function getPriceBooks() {
+  const config = await AppConfig.findOne({ key: "price_books" }).lean();
+  return { ...DEFAULT_PRICE_BOOKS, ...config?.value };
+}
+
+function regionForCountry(books, country) {
+  const code = country?.toUpperCase();
+  return (
+    (code && books.regions.find((r) => r.countries?.includes(code))) ||
+    books.fallback
+  );
+}
+
+// Country from the testing override (when allowed) or the caller's IP
+function countryForRequest(req) {
+  const override = req.query.country || req.body?.country;
+  if (override && ALLOW_COUNTRY_OVERRIDE) {
+    return { country: String(override).toUpperCase(), source: "override" };
+  }
+
+  const geo = geoip.lookup(req.ip);
+  return { country: geo?.country || null, source: geo ? "ip" : "fallback" };
+}
+
+async function regionForRequest(req) {
+  const { country, source } = countryForRequest(req);
+  const region = regionForCountry(await getPriceBooks(), country);
+  return { ...region, country, source };
+}
+
+/**
+ * Currency `provider` should charge `plan` in for `region`: the region's
+ * own currency when it uses that provider and the plan is priced in it,
+ * otherwise `fallbackCurrency`.
+ */
+function checkoutCurrency(plan, region, provider, fallbackCurrency) {
+  if (
+    region?.provider === provider &&
+    planPrice(plan, region.currency) !== null
+  ) {
+    return region.currency;
   }
+  return fallbackCurrency;
+}
+
+function formatPrice(amount, currency, locale = "en-US") {
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: amount % 100 === 0 ? 0 : 2,
+  }).format(amount / 100);
 }
 
 // ------------------------------------------------------
 // MongoDB Setup (Persistence Layer)
 // ------------------------------------------------------
-mongoose
-  .connect(MONGO_URI)
-  .then(() => {
-    console.log("💾 MongoDB Connected");
-    seedDefaultPrices(); // ← add this call
-  })
-  .catch((err) => console.error("❌ MongoDB connection error:", err));
+// Connects and runs the startup migrations; the entry point at the bottom
+// of this file then starts the scheduler and the HTTP server.
+async function connectDatabase(uri = MONGO_URI) {
+  await mongoose.connect(uri);
+  console.log("💾 MongoDB Connected");
+  // First, before the TTL monitor gets another chance to delete records
+  await dropPaidUserTtlIndex().catch((err) =>
+    console.error("❌ PaidUser index migration failed:", err)
+  );
+  await Promise.all([
+    seedDefaultPrices().catch((err) =>
+      console.error("❌ Price seed failed:", err)
+    ),
+    seedDefaultPriceBooks().catch((err) =>
+      console.error("❌ Price book seed failed:", err)
+    ),
+    migrateCouponRedemptionIndexes().catch((err) =>
+      console.error("❌ CouponRedemption index migration failed:", err)
+    ),
+    migrateOtps().catch((err) =>
+      console.error("❌ Otp migration failed:", err)
+    ),
+    migrateUserIdentities().catch((err) =>
+      console.error("❌ User identity migration failed:", err)
+    ),
+    migrateFamilyGroups().catch((err) =>
+      console.error("❌ Family group migration failed:", err)
+    ),
+  ]);
+}
 
 // ------------------------------------------------------
 // JWT & Google Auth Setup
 // ------------------------------------------------------
 const JWT_SECRET = process.env.JWT_SECRET || "replace_me_with_strong_secret";
-const JWT_EXPIRY = process.env.JWT_EXPIRY || "30d";
+const JWT_EXPIRY = process.env.JWT_EXPIRY || "30d"; // clients without refresh
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || "15m";
+const REFRESH_TOKEN_DAYS = numberFromEnv("REFRESH_TOKEN_DAYS", 60);
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 
 const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
 
-function signJwt(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+function signJwt(payload, expiresIn = JWT_EXPIRY) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+}
+
+// JWT claims for a user; admins also carry role so /api/admin accepts them
+function jwtClaimsFor(email, user) {
+  return { email, ...(user?.role === "admin" && { role: "admin" }) };
 }
 
 function verifyJwtToken(token) {
@@ -116,13 +360,49 @@ function verifyJwtToken(token) {
   }
 }
 
+/**
+ * Verify a token and check it hasn't been revoked. Tokens carry the
+ * session id (`sid`) they were issued for; older tokens without one are
+ * only cut off by "revoke all" (User.tokensValidAfter).
+ */
+async function authenticateToken(token) {
+  const payload = verifyJwtToken(token);
+  if (!payload) return null;
+
+  if (payload.sid) {
+    const session = await Session.findById(payload.sid, {
+      email: 1,
+      revokedAt: 1,
+    }).lean();
+    if (
+      !session ||
+      session.revokedAt ||
+      session.email !== payload.email?.toLowerCase().trim()
+    ) {
+      return null;
+    }
+    return payload;
+  }
+
+  const user = await User.findOne(
+    { email: payload.email?.toLowerCase().trim() },
+    { tokensValidAfter: 1 }
+  ).lean();
+  // Every token was issued to an existing user; none means it was deleted
+  if (!user) return null;
+  if (user.tokensValidAfter && payload.iat * 1000 < user.tokensValidAfter) {
+    return null;
+  }
+  return payload;
+}
+
 /**
  * Non-blocking middleware: if Authorization header / token is present and valid,
  * set req.user = payload. Otherwise set req.user = null and allow the request to continue.
  *
  * This keeps existing behavior intact (old callers using ?email= will still work).
  */
-function verifyJwt(req, res, next) {
+async function verifyJwt(req, res, next) {
   const authHeader =
     req.headers.authorization ||
     req.query.token ||
@@ -136,15 +416,165 @@ function verifyJwt(req, res, next) {
     ? authHeader.split(" ")[1]
     : authHeader;
 
-  const payload = verifyJwtToken(token);
-  if (!payload) {
+  try {
+    req.user = await authenticateToken(token); // { email, sid, iat, exp }
+  } catch (err) {
+    // Fail closed: a token we can't check is treated as absent
+    console.error("❌ Session lookup failed:", err);
     req.user = null;
-    return next();
   }
+  next();
+}
 
-  req.user = payload; // typically { email, iat, exp }
+// Blocking counterpart for routes that need a signed-in user (after verifyJwt)
+function requireUser(req, res, next) {
+  const email = req.user?.email?.toLowerCase().trim();
+  if (!email) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  req.userEmail = email;
   next();
 }
+
+// ------------------------------------------------------
+// Identity on endpoints that used to trust ?email= / body.email
+// ------------------------------------------------------
+// AUTH_MODE=strict rejects a caller-supplied email without a JWT.
+// AUTH_MODE=transition (default) still accepts it for old extension
+// builds, but logs each call and counts it per route and version in
+// legacy_auth_calls so we can tell when it's safe to switch to strict.
+const AUTH_MODE = process.env.AUTH_MODE === "strict" ? "strict" : "transition";
+
+function recordLegacyAuthCall(req, route) {
+  const version = String(req.headers["x-extension-version"] || "unknown");
+  const day = new Date().toISOString().slice(0, 10);
+
+  LegacyAuthCall.updateOne(
+    { day, route, version },
+    { $inc: { count: 1 }, $set: { lastSeenAt: new Date(), lastIp: req.ip } },
+    { upsert: true }
+  ).catch((err) => console.error("❌ Legacy auth log failed:", err));
+}
+
+// After verifyJwt: sets req.userEmail from the JWT, or from the legacy
+// email parameter (`source` is "query" or "body") when the mode allows it
+function resolveIdentity(source) {
+  return (req, res, next) => {
+    const route = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    const claimed = (source === "query" ? req.query : req.body)?.email
+      ?.toString()
+      .toLowerCase()
+      .trim();
+    const jwtEmail = req.user?.email?.toLowerCase().trim();
+
+    if (jwtEmail) {
+      if (claimed && claimed !== jwtEmail) {
+        console.warn(`⚠️ ${route}: email ${claimed} ignored for ${jwtEmail}`);
+        if (AUTH_MODE === "strict") {
+          return res.status(403).json({ error: "Email does not match token" });
+        }
+      }
+      req.userEmail = jwtEmail;
+      return next();
+    }
+
+    if (claimed) {
+      if (AUTH_MODE === "strict") {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      console.warn(`🕰️ Legacy unauthenticated call: ${route} (${claimed})`);
+      recordLegacyAuthCall(req, route);
+      req.userEmail = claimed;
+    }
+    next();
+  };
+}
+
+// Purchases must be tied to a confirmed address. Only accounts created by
+// signup carry emailVerified: false; unknown emails (checkout without an
+// account) and older accounts are unaffected. Orders are tied to the body
+// email, which may differ from the signed-in one, so both must pass.
+async function requireVerifiedPurchaser(req, res, next) {
+  const emails = [req.user?.email, req.body?.email]
+    .filter(Boolean)
+    .map((email) => email.toString().toLowerCase().trim());
+  if (!emails.length) return next();
+
+  try {
+    if (await User.exists({ email: { $in: emails }, emailVerified: false })) {
+      return res.status(403).json({
+        error: "Please verify your email before purchasing",
+        code: "email_unverified",
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Verified purchaser check failed:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// ------------------------------------------------------
+// Sessions: short-lived access tokens + rotating refresh tokens
+// ------------------------------------------------------
+// Every login creates a Session per device. The refresh token
+// ("<sessionId>.<secret>") is stored hashed and replaced on each use;
+// presenting an already-rotated token means it leaked, so the whole
+// session is revoked. Clients that don't send a deviceId (older extension
+// builds) can't refresh, so they keep getting JWT_EXPIRY access tokens,
+// still bound to a session and therefore revocable.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Create a session for a successful login; returns the token fields for
+// the response body
+async function issueSession(req, user) {
+  const deviceId = String(
+    req.body?.deviceId || req.headers["x-device-id"] || ""
+  ).slice(0, 100);
+  const secret = newRefreshSecret();
+
+  const session = await Session.create({
+    email: user.email.toLowerCase().trim(),
+    deviceId: deviceId || null,
+    deviceName: String(req.body?.deviceName || "").slice(0, 100) || null,
+    userAgent: req.headers["user-agent"]?.slice(0, 300) || null,
+    ip: req.ip,
+    refreshHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+  });
+
+  const claims = {
+    ...jwtClaimsFor(user.email, user),
+    sid: String(session._id),
+  };
+
+  if (!deviceId) {
+    return { jwt: signJwt(claims), expiresIn: JWT_EXPIRY };
+  }
+  return {
+    jwt: signJwt(claims, ACCESS_TOKEN_EXPIRY),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  };
+}
+
+async function revokeSessions(filter, reason) {
+  const { modifiedCount } = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount;
+}
 // ------------------------------------------------------
 // Rate limiters and helpers
 // ------------------------------------------------------
@@ -164,13 +594,44 @@ const createPaymentLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// ------------------------------------------------------
+// GET /api/subscription-plans[?country=XX]
+// The catalog localized for the caller's region: each plan gains amount,
+// currency, provider and a displayPrice formatted for the region's locale.
+// Plans not priced in the region's currency keep their base price.
+// ------------------------------------------------------
 app.get("/api/subscription-plans", async (req, res) => {
   try {
-    const config = await AppConfig.findOne({ key: "subscription_plans" });
-    if (!config) {
-      return res.status(404).json({ error: "Plans not configured" });
+    const [catalog, region] = await Promise.all([
+      getPlanCatalog(),
+      regionForRequest(req),
+    ]);
+
+    const localized = {};
+    for (const [id, plan] of Object.entries(catalog)) {
+      const currency =
+        planPrice(plan, region.currency) !== null
+          ? region.currency
+          : plan.currency || "INR";
+      const amount = planPrice(plan, currency);
+      const provider =
+        currency === region.currency ? region.provider : "razorpay";
+
+      localized[id] = {
+        ...plan,
+        amount,
+        currency,
+        provider,
+        displayPrice:
+          amount === null
+            ? plan.displayPrice
+            : formatPrice(amount, currency, region.locale),
+        region: region.id,
+        country: region.country,
+      };
     }
-    return res.json(config.value);
+
+    return res.json(localized);
   } catch (err) {
     console.error("❌ subscription-plans error:", err);
     return res.status(500).json({ error: "Server error" });
@@ -178,1458 +639,6989 @@ app.get("/api/subscription-plans", async (req, res) => {
 });
 
 // ------------------------------------------------------
-// NEW: Create Razorpay ORDER (native in-app checkout)
-// POST /api/create-order  { amount, currency, email, plan }
+// Coupons / promo codes
 // ------------------------------------------------------
-app.post(
-  "/api/create-order",
-  createPaymentLimiter,
-  express.json(),
-  async (req, res) => {
-    const { amount, currency = "INR", email, plan } = req.body;
-
-    if (!amount || !email) {
-      return res.status(400).json({ error: "Missing amount or email" });
-    }
-
-    try {
-      const order = await razorpay.orders.create({
-        amount: Math.round(amount), // already in paise from client
-        currency,
-        receipt: `receipt_${Date.now()}`,
-        notes: { email, plan: plan || "monthly" },
-      });
+// Smallest charge a provider accepts, in minor units (default 1)
+const MIN_CHARGE = { INR: 100 };
 
-      console.log(`✅ Razorpay order created: ${order.id} for ${email}`);
+function normalizeCouponCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .trim();
+}
 
-      return res.json({
-        order_id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-      });
-    } catch (err) {
-      console.error("❌ Create order error:", err);
-      return res.status(500).json({ error: "Failed to create Razorpay order" });
-    }
+/**
+ * Price `plan` in `currency`, applying coupon `code` for `email` if given.
+ * Returns { amount, originalAmount, discount, coupon } or { error } with a
+ * message suitable for the client.
+ */
+async function priceWithCoupon({ plan, currency, code, email }) {
+  const originalAmount = planPrice(plan, currency);
+  if (originalAmount === null) {
+    return { error: "Plan is not available in this currency" };
+  }
+  if (!code) {
+    return {
+      amount: originalAmount,
+      originalAmount,
+      discount: 0,
+      coupon: null,
+    };
   }
-);
 
-// ------------------------------------------------------
-// NEW: Verify Razorpay payment + activate premium
-// POST /api/verify-payment
-//   { razorpay_payment_id, razorpay_order_id, razorpay_signature, email }
-// ------------------------------------------------------
-app.post("/api/verify-payment", express.json(), async (req, res) => {
-  const { razorpay_payment_id, razorpay_order_id, razorpay_signature, email } =
-    req.body;
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  const now = new Date();
 
+  if (!coupon || !coupon.active) return { error: "Invalid coupon code" };
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: "Coupon is not active yet" };
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    return { error: "Coupon has expired" };
+  }
+  if (coupon.plans.length && !coupon.plans.includes(plan.id)) {
+    return { error: "Coupon does not apply to this plan" };
+  }
   if (
-    !razorpay_payment_id ||
-    !razorpay_order_id ||
-    !razorpay_signature ||
-    !email
+    coupon.maxRedemptions !== null &&
+    coupon.redeemedCount >= coupon.maxRedemptions
   ) {
-    return res.status(400).json({ error: "Missing required payment fields" });
+    return { error: "Coupon has been fully redeemed" };
+  }
+  if (email && coupon.perUserLimit !== null) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      email,
+      status: { $ne: "released" },
+    });
+    if (used >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon" };
+    }
   }
 
-  // ── 1. Verify HMAC signature ──────────────────────────────────────────────
-  const expectedSignature = crypto
-    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-    .update(razorpay_order_id + "|" + razorpay_payment_id)
-    .digest("hex");
+  let discount;
+  if (coupon.type === "percent") {
+    discount = Math.round((originalAmount * coupon.value) / 100);
+  } else if (coupon.currency === currency) {
+    discount = coupon.value;
+  } else {
+    return { error: "Coupon is not valid for this currency" };
+  }
 
-  if (expectedSignature !== razorpay_signature) {
-    console.warn("❌ Razorpay signature mismatch for", email);
-    return res.status(400).json({ error: "Invalid payment signature" });
+  const amount = originalAmount - discount;
+  if (amount < (MIN_CHARGE[currency] ?? 1)) {
+    return { error: "Coupon discount exceeds the plan price" };
   }
 
-  // ── 2. Fetch order to read plan from notes ────────────────────────────────
-  let orderDetails;
-  try {
-    orderDetails = await razorpay.orders.fetch(razorpay_order_id);
-  } catch (err) {
-    console.error("❌ Failed to fetch order details:", err);
-    return res.status(500).json({ error: "Could not fetch order details" });
+  return { amount, originalAmount, discount, coupon };
+}
+
+// Minutes a checkout holds a coupon use before it is given back
+const COUPON_RESERVATION_MINUTES = numberFromEnv(
+  "COUPON_RESERVATION_MINUTES",
+  60
+);
+
+/**
+ * Hold one use of `coupon` for a checkout that is about to be created.
+ * The global cap is claimed with a conditional $inc and the per-user cap
+ * is checked after the row is written, so parallel checkouts can't exceed
+ * either. Returns { reservation } or { error }.
+ */
+async function reserveCoupon({
+  coupon,
+  email,
+  plan,
+  discount,
+  currency,
+  provider,
+  expiresAt = new Date(Date.now() + COUPON_RESERVATION_MINUTES * 60 * 1000),
+}) {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ["$redeemedCount", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redeemedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return { error: "Coupon has been fully redeemed" };
+
+  const reservation = await CouponRedemption.create({
+    couponId: coupon._id,
+    code: coupon.code,
+    email,
+    plan: plan.id,
+    discount,
+    currency,
+    provider,
+    status: "reserved",
+    reservedAt: new Date(),
+    expiresAt,
+  }).catch(async (err) => {
+    await Coupon.updateOne(
+      { _id: coupon._id },
+      { $inc: { redeemedCount: -1 } }
+    );
+    throw err;
+  });
+
+  if (coupon.perUserLimit !== null) {
+    // Only uses ordered before ours count, so parallel checkouts agree on
+    // which of them keep the coupon instead of all giving it back
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      email,
+      status: { $ne: "released" },
+      _id: { $lte: reservation._id },
+    });
+    if (used > coupon.perUserLimit) {
+      await releaseCouponReservation(
+        { _id: reservation._id },
+        "per_user_limit"
+      );
+      return { error: "You have already used this coupon" };
+    }
   }
 
-  const plan = orderDetails.notes?.plan || "monthly";
-  const cleanedEmail = email.toLowerCase().trim();
+  return { reservation };
+}
 
-  // ── 3. Compute expiry based on plan ──────────────────────────────────────
-  const now = new Date();
-  const expiresAt =
-    plan === "yearly"
-      ? new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000)
-      : new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+// Link a reservation to the provider order it was made for
+async function attachCouponReservation(reservation, orderRef) {
+  if (!reservation) return;
+  await CouponRedemption.updateOne(
+    { _id: reservation._id },
+    { $set: { orderRef } }
+  );
+}
 
-  // ── 4. Upsert PaidUser ────────────────────────────────────────────────────
-  try {
-    await PaidUser.findOneAndUpdate(
-      { email: cleanedEmail },
+// Give back every still-reserved use matching `filter`
+async function releaseCouponReservation(filter, reason) {
+  let released = 0;
+  for (;;) {
+    const reservation = await CouponRedemption.findOneAndUpdate(
+      { ...filter, status: "reserved" },
       {
         $set: {
-          paidAt: now,
-          expiresAt,
-          amount: orderDetails.amount,
+          status: "released",
+          releasedAt: new Date(),
+          releaseReason: reason,
         },
-      },
-      { upsert: true, new: true }
+      }
     );
+    if (!reservation) return released;
 
-    console.log(
-      `✅ Premium activated: ${cleanedEmail} | plan: ${plan} | expires: ${expiresAt.toISOString()}`
+    await Coupon.updateOne(
+      { _id: reservation.couponId },
+      { $inc: { redeemedCount: -1 } }
     );
-
-    return res.json({ success: true, expiresAt: expiresAt.toISOString() });
-  } catch (dbErr) {
-    console.error("❌ DB error saving premium user:", dbErr);
-    return res.status(500).json({ error: "Failed to save premium status" });
+    released++;
   }
-});
-// ------------------------------------------------------
-// Schemas / Models
-// ------------------------------------------------------
-const PaidUserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true, index: true },
-  paidAt: { type: Date, default: Date.now },
-  expiresAt: { type: Date, index: { expires: 0 } },
-  amount: { type: Number, required: true },
-});
+}
 
-const PaidUser = mongoose.model("PaidUser", PaidUserSchema);
+// Scheduled: reservations whose checkout was never paid
+async function releaseExpiredCouponReservations(now = new Date()) {
+  const released = await releaseCouponReservation(
+    { expiresAt: { $lte: now } },
+    "expired"
+  );
+  return { released };
+}
 
-const PaypalOrderSchema = new mongoose.Schema({
-  orderID: { type: String, required: true, unique: true },
-  email: { type: String, required: true, index: true },
-  createdAt: { type: Date, default: Date.now },
-  captured: { type: Boolean, default: false },
-});
+/**
+ * Called once a discounted payment is verified. Turns the checkout's
+ * reservation (found by provider + orderRef) into a redemption; orders
+ * from before reservations are recorded and counted here instead. The
+ * unique indexes keep replays from counting twice.
+ */
+async function recordCouponRedemption({
+  code,
+  email,
+  plan,
+  discount,
+  currency,
+  provider,
+  paymentId,
+  orderRef,
+}) {
+  if (!code) return;
+  const now = new Date();
+  const redeemed = {
+    status: "redeemed",
+    paymentId,
+    redeemedAt: now,
+    expiresAt: null,
+  };
 
-const PaypalOrder = mongoose.model("PaypalOrder", PaypalOrderSchema);
+  if (orderRef) {
+    const reserved = await CouponRedemption.findOneAndUpdate(
+      { provider, orderRef, status: "reserved" },
+      { $set: redeemed }
+    );
+    if (reserved) {
+      console.log(`🏷️ Coupon ${reserved.code} redeemed by ${email}`);
+      return;
+    }
 
-const EmergencySchema = new mongoose.Schema({
-  email: String,
-  amount: Number,
-  paidAt: { type: Date, default: Date.now },
-  status: { type: String, default: "paid" }, // preserve additional fields
-  used: { type: Boolean, default: false },
-  razorpay_payment_id: { type: String, default: null },
-  razorpay_link_id: { type: String, default: null },
-});
+    const existing = await CouponRedemption.findOne({ provider, orderRef });
+    if (existing?.status === "redeemed") return; // replay
+    if (existing?.status === "released") {
+      // Paid after the hold lapsed: the money is in, so count the use again
+      const revived = await CouponRedemption.updateOne(
+        { _id: existing._id, status: "released" },
+        { $set: { ...redeemed, releasedAt: null, releaseReason: null } }
+      );
+      if (revived.modifiedCount) {
+        await Coupon.updateOne(
+          { _id: existing.couponId },
+          { $inc: { redeemedCount: 1 } }
+        );
+        console.warn(
+          `⚠️ Coupon ${existing.code} redeemed by ${email} after its reservation was released`
+        );
+      }
+      return;
+    }
+  }
 
-const EmergencyUnlock = mongoose.model("EmergencyUnlock", EmergencySchema);
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon) {
+    console.warn(`⚠️ Redeemed coupon ${code} no longer exists`);
+    return;
+  }
 
-const DailyUsageSchema = new mongoose.Schema({
-  deviceId: { type: String, required: true, index: true },
-  siteId: { type: String, required: true },
-  date: { type: String, required: true }, // "YYYY-MM-DD"
-  totalMinutes: { type: Number, default: 0 },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
+  try {
+    await CouponRedemption.create({
+      couponId: coupon._id,
+      code: coupon.code,
+      email,
+      plan,
+      discount,
+      currency,
+      provider,
+      orderRef: orderRef || null,
+      ...redeemed,
+    });
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redeemedCount: 1 } });
+    console.log(`🏷️ Coupon ${coupon.code} redeemed by ${email}`);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+}
 
-DailyUsageSchema.index({ deviceId: 1, siteId: 1, date: 1 }, { unique: true });
-DailyUsageSchema.index(
+// ------------------------------------------------------
+// Check a coupon before checkout
+// POST /api/coupons/validate  { code, plan, currency = plan currency, email }
+// ------------------------------------------------------
+app.post(
+  "/api/coupons/validate",
+  createPaymentLimiter,
+  express.json(),
+  verifyJwt,
+  async (req, res) => {
+    const { code, plan: planId, currency, email: bodyEmail } = req.body || {};
+    const email = (req.user?.email || bodyEmail || "").toLowerCase().trim();
+
+    if (!code || !planId) {
+      return res.status(400).json({ error: "Missing code or plan" });
+    }
+
+    try {
+      const plan = resolvePlanById(await getPlanCatalog(), planId);
+      if (!plan) {
+        return res.status(400).json({ error: "Unknown plan" });
+      }
+
+      const priceCurrency = (currency || plan.currency).toUpperCase();
+      const priced = await priceWithCoupon({
+        plan,
+        currency: priceCurrency,
+        code,
+        email: email || null,
+      });
+
+      if (priced.error) {
+        return res.json({ valid: false, error: priced.error });
+      }
+
+      return res.json({
+        valid: true,
+        code: priced.coupon.code,
+        plan: plan.id,
+        currency: priceCurrency,
+        originalAmount: priced.originalAmount,
+        discount: priced.discount,
+        amount: priced.amount,
+      });
+    } catch (err) {
+      console.error("❌ Coupon validate error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// NEW: Create Razorpay ORDER (native in-app checkout)
+// POST /api/create-order  { email, plan, coupon?, country? }
+// The price always comes from the plan catalog; any client amount is ignored.
+// ------------------------------------------------------
+app.post(
+  "/api/create-order",
+  createPaymentLimiter,
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const { email, plan: planId = "monthly", coupon } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Missing email" });
+    }
+
+    try {
+      const catalog = await getPlanCatalog();
+      const plan = resolvePlanById(catalog, planId);
+      if (!plan) {
+        return res.status(400).json({ error: "Unknown plan" });
+      }
+
+      const region = await regionForRequest(req);
+      const currency = checkoutCurrency(
+        plan,
+        region,
+        "razorpay",
+        plan.currency
+      );
+
+      const priced = await priceWithCoupon({
+        plan,
+        currency,
+        code: coupon,
+        email: email.toLowerCase().trim(),
+      });
+      if (priced.error) {
+        return res.status(400).json({ error: priced.error });
+      }
+
+      let reservation = null;
+      if (priced.coupon) {
+        const held = await reserveCoupon({
+          coupon: priced.coupon,
+          email: email.toLowerCase().trim(),
+          plan,
+          discount: priced.discount,
+          currency,
+          provider: "razorpay",
+        });
+        if (held.error) {
+          return res.status(400).json({ error: held.error });
+        }
+        reservation = held.reservation;
+      }
+
+      let order;
+      try {
+        order = await razorpay.orders.create({
+          amount: priced.amount,
+          currency,
+          receipt: `receipt_${Date.now()}`,
+          notes: {
+            email,
+            plan: plan.id,
+            ...(priced.coupon && {
+              coupon: priced.coupon.code,
+              discount: String(priced.discount),
+            }),
+          },
+        });
+      } catch (err) {
+        if (reservation) {
+          await releaseCouponReservation(
+            { _id: reservation._id },
+            "order_failed"
+          );
+        }
+        throw err;
+      }
+      await attachCouponReservation(reservation, order.id);
+
+      console.log(`✅ Razorpay order created: ${order.id} for ${email}`);
+
+      return res.json({
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+      });
+    } catch (err) {
+      console.error("❌ Create order error:", err);
+      return res.status(500).json({ error: "Failed to create Razorpay order" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// NEW: Verify Razorpay payment + activate premium
+// POST /api/verify-payment
+//   { razorpay_payment_id, razorpay_order_id, razorpay_signature, email? }
+// The purchase goes to the email the order was created for (notes.email);
+// a body email that names anyone else is rejected.
+// ------------------------------------------------------
+app.post(
+  "/api/verify-payment",
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const {
+      razorpay_payment_id,
+      razorpay_order_id,
+      razorpay_signature,
+      email,
+    } = req.body;
+
+    if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+      return res.status(400).json({ error: "Missing required payment fields" });
+    }
+
+    // ── 1. Verify HMAC signature ────────────────────────────────────────────
+    const expectedSignature = crypto
+      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+      .update(razorpay_order_id + "|" + razorpay_payment_id)
+      .digest("hex");
+
+    if (expectedSignature !== razorpay_signature) {
+      console.warn(
+        "❌ Razorpay signature mismatch for order",
+        razorpay_order_id
+      );
+      return res.status(400).json({ error: "Invalid payment signature" });
+    }
+
+    // ── 2. Fetch order to read email and plan from notes ────────────────────
+    let orderDetails;
+    try {
+      orderDetails = await razorpay.orders.fetch(razorpay_order_id);
+    } catch (err) {
+      console.error("❌ Failed to fetch order details:", err);
+      return res.status(500).json({ error: "Could not fetch order details" });
+    }
+
+    const cleanedEmail = orderDetails.notes?.email
+      ?.toString()
+      .toLowerCase()
+      .trim();
+    if (!cleanedEmail) {
+      console.warn(`❌ Order ${razorpay_order_id} has no email in its notes`);
+      return res.status(400).json({ error: "Order has no email" });
+    }
+    if (email && email.toString().toLowerCase().trim() !== cleanedEmail) {
+      console.warn(
+        `❌ verify-payment: ${email} does not match order ${razorpay_order_id}`
+      );
+      return res.status(403).json({ error: "Email does not match order" });
+    }
+
+    // ── 3. Claim the payment in the ledger (a repeated verify is a no-op) ──
+    let claim;
+    try {
+      claim = await claimPaymentEvent({
+        provider: "razorpay",
+        eventId: null,
+        event: "payment.verified",
+        paymentId: razorpay_payment_id,
+        payload: { order: orderDetails, email: cleanedEmail },
+      });
+    } catch (dbErr) {
+      console.error("❌ Payment ledger error:", dbErr);
+      return res.status(500).json({ error: "Failed to save premium status" });
+    }
+
+    if (claim.replay || claim.inFlight) {
+      const expiresAt = claim.entry.entitlement?.expiresAt;
+      return res.json({
+        success: claim.entry.status === "processed",
+        status: claim.entry.status,
+        ...(expiresAt && { expiresAt: new Date(expiresAt).toISOString() }),
+      });
+    }
+
+    // ── 4. Resolve the plan and check the order was priced from it ─────────
+    try {
+      const catalog = await getPlanCatalog();
+      const plan = resolvePlanById(catalog, orderDetails.notes?.plan);
+      const discount = Number(orderDetails.notes?.discount || 0);
+
+      const problem = !plan
+        ? "unknown_plan"
+        : !paymentMatchesPlan(
+            plan,
+            orderDetails.amount,
+            orderDetails.currency,
+            discount
+          )
+        ? "amount_mismatch"
+        : null;
+
+      if (problem) {
+        console.warn(
+          `🚩 ${problem}: plan "${orderDetails.notes?.plan}" paid ${orderDetails.amount} ${orderDetails.currency} by ${cleanedEmail} flagged for review`
+        );
+        await settlePaymentEvent(claim.entry, "flagged", {
+          email: cleanedEmail,
+          amount: orderDetails.amount,
+          currency: orderDetails.currency,
+          reason: problem,
+        });
+        return res
+          .status(400)
+          .json({ error: "Payment does not match plan", status: "flagged" });
+      }
+
+      // ── 5. Grant the entitlement ──────────────────────────────────────────
+      const entitlement = await grantPlanEntitlement({
+        email: cleanedEmail,
+        plan,
+        amount: orderDetails.amount,
+        payment: { provider: "razorpay", paymentId: razorpay_payment_id },
+      });
+
+      await recordCouponRedemption({
+        code: orderDetails.notes?.coupon,
+        email: cleanedEmail,
+        plan: plan.id,
+        discount,
+        currency: orderDetails.currency,
+        provider: "razorpay",
+        paymentId: razorpay_payment_id,
+        orderRef: razorpay_order_id,
+      });
+
+      await settlePaymentEvent(claim.entry, "processed", {
+        email: cleanedEmail,
+        amount: orderDetails.amount,
+        currency: orderDetails.currency,
+        entitlement,
+      });
+
+      console.log(
+        `✅ Purchase applied: ${cleanedEmail} | plan: ${plan.id}${
+          entitlement.expiresAt
+            ? ` | expires: ${entitlement.expiresAt.toISOString()}`
+            : ""
+        }`
+      );
+
+      return res.json({
+        success: true,
+        plan: plan.id,
+        ...(entitlement.expiresAt && {
+          expiresAt: entitlement.expiresAt.toISOString(),
+        }),
+      });
+    } catch (dbErr) {
+      console.error("❌ DB error saving premium user:", dbErr);
+      await settlePaymentEvent(claim.entry, "failed", {
+        reason: dbErr.message,
+      }).catch((e) => console.error("❌ Payment ledger error:", e));
+      return res.status(500).json({ error: "Failed to save premium status" });
+    }
+  }
+);
+// ------------------------------------------------------
+// Schemas / Models
+// ------------------------------------------------------
+// Records are kept after expiry (no TTL) so renewals, the grace period and
+// payment history keep working; status is derived from expiresAt.
+// Indexes are built by dropPaidUserTtlIndex() once the old TTL index is gone.
+const PaidUserSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, index: true },
+    paidAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, index: true },
+    amount: { type: Number, required: true },
+    // Set while a Razorpay Subscription is renewing this term automatically
+    autoRenew: { type: Boolean, default: false },
+    subscriptionId: { type: String, default: null },
+    // expiresAt the "expires soon" email was sent for
+    expiryReminderFor: { type: Date, default: null },
+  },
+  { autoIndex: false }
+);
+
+const PaidUser = mongoose.model("PaidUser", PaidUserSchema);
+
+// Days after expiresAt during which premium keeps working and the
+// extension shows a renewal prompt
+const PREMIUM_GRACE_DAYS = numberFromEnv("PREMIUM_GRACE_DAYS", 3);
+
+/**
+ * Derive "paid" | "grace" | "expired" from a PaidUser record.
+ */
+function subscriptionStatus(paidUser, now = new Date()) {
+  const expiresAt = paidUser.expiresAt ? new Date(paidUser.expiresAt) : null;
+  if (!expiresAt || expiresAt > now) {
+    return { status: "paid", expiresAt };
+  }
+
+  const graceEndsAt = new Date(
+    expiresAt.getTime() + PREMIUM_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  return {
+    status: graceEndsAt > now ? "grace" : "expired",
+    expiresAt,
+    graceEndsAt,
+  };
+}
+
+// Older deployments created expiresAt as a TTL index, which deletes the
+// record the moment it expires. Replace it with a plain index, then build
+// the schema's indexes (autoIndex is off so they can't race this).
+async function dropPaidUserTtlIndex() {
+  const indexes = await PaidUser.collection.indexes().catch((err) => {
+    if (err.codeName === "NamespaceNotFound") return []; // fresh database
+    throw err;
+  });
+  const ttl = indexes.find(
+    (i) => i.key?.expiresAt === 1 && i.expireAfterSeconds !== undefined
+  );
+
+  if (ttl) {
+    await PaidUser.collection.dropIndex(ttl.name);
+    console.log("✅ Removed TTL index from paidusers.expiresAt");
+  }
+  await PaidUser.createIndexes();
+}
+
+// One row per purchased premium term, kept even after PaidUser changes,
+// so support can see everything a user has bought.
+const SubscriptionTermSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, index: true },
+    plan: { type: String, required: true },
+    provider: { type: String, default: null }, // "razorpay" | "paypal"
+    paymentId: { type: String, default: null },
+    amount: { type: Number, default: null },
+    startsAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+    // Seats of a group plan; its time also extends the family group
+    seats: { type: Number, default: null },
+    // Time taken back by refunds / disputes (expiresAt is left as bought)
+    revokedMs: { type: Number, default: 0 },
+    revokedReason: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "subscription_terms" }
+);
+
+const SubscriptionTerm = mongoose.model(
+  "SubscriptionTerm",
+  SubscriptionTermSchema
+);
+
+// Local mirror of a Razorpay Subscription (recurring billing). The price is
+// captured at creation so later catalog changes don't flag renewals.
+const RazorpaySubscriptionSchema = new mongoose.Schema(
+  {
+    subscriptionId: { type: String, required: true, unique: true },
+    email: { type: String, required: true, index: true },
+    plan: { type: String, required: true },
+    razorpayPlanId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    // created | authenticated | active | halted | cancelled | completed
+    status: { type: String, default: "created" },
+    cancelAtCycleEnd: { type: Boolean, default: false },
+    currentEnd: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { collection: "razorpay_subscriptions" }
+);
+
+const RazorpaySubscription = mongoose.model(
+  "RazorpaySubscription",
+  RazorpaySubscriptionSchema
+);
+
+const PaypalOrderSchema = new mongoose.Schema({
+  orderID: { type: String, required: true, unique: true },
+  email: { type: String, required: true, index: true },
+  plan: { type: String, default: null }, // catalog id the order was priced from
+  amount: { type: Number, default: null }, // minor units (cents), after coupon
+  coupon: { type: String, default: null },
+  discount: { type: Number, default: 0 },
+  currency: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  captured: { type: Boolean, default: false },
+  captureId: { type: String, default: null, index: true },
+});
+
+const PaypalOrder = mongoose.model("PaypalOrder", PaypalOrderSchema);
+
+const EmergencySchema = new mongoose.Schema({
+  email: String,
+  amount: Number,
+  paidAt: { type: Date, default: Date.now },
+  status: { type: String, default: "paid" }, // "paid" | "consumed" | "revoked"
+  used: { type: Boolean, default: false },
+  // Consumed credits are kept so refunds and data exports can see them
+  consumedAt: { type: Date, default: null },
+  razorpay_payment_id: { type: String, default: null },
+  razorpay_link_id: { type: String, default: null },
+  revokedReason: { type: String, default: null },
+});
+
+const EmergencyUnlock = mongoose.model("EmergencyUnlock", EmergencySchema);
+
+// Ledger of every verified payment-provider event. One row per delivery,
+// so a retried webhook can be recognised and acknowledged without
+// granting the entitlement a second time.
+const PaymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, default: "razorpay" },
+    eventId: { type: String, default: null },
+    event: { type: String, required: true },
+    paymentId: { type: String, default: null, index: true },
+    email: { type: String, default: null, index: true },
+    amount: { type: Number, default: null },
+    currency: { type: String, default: null },
+    // received -> processed | ignored | flagged (needs review) | failed
+    // processed -> revoked once refunds / disputes took back everything
+    status: {
+      type: String,
+      enum: [
+        "received",
+        "processed",
+        "ignored",
+        "flagged",
+        "failed",
+        "revoked",
+      ],
+      default: "received",
+    },
+    reason: { type: String, default: null },
+    entitlement: {
+      kind: { type: String, default: null }, // "premium" | "emergency_unlock"
+      plan: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+      refId: { type: String, default: null },
+    },
+    // Refunds, failed charges and disputes applied against this payment
+    refundedAmount: { type: Number, default: 0 },
+    revocations: [
+      {
+        _id: false,
+        event: String,
+        reason: String,
+        amount: Number,
+        removedMs: { type: Number, default: 0 },
+        unlockIds: { type: [String], default: undefined },
+        reinstated: { type: Boolean, default: false },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    payload: { type: mongoose.Schema.Types.Mixed },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date, default: null },
+  },
+  { collection: "payments" }
+);
+
+PaymentSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: "string" } } }
+);
+PaymentSchema.index(
+  { provider: 1, event: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: "string" } } }
+);
+
+const Payment = mongoose.model("Payment", PaymentSchema);
+
+const DailyUsageSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, index: true },
+  siteId: { type: String, required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD"
+  totalMinutes: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+DailyUsageSchema.index({ deviceId: 1, siteId: 1, date: 1 }, { unique: true });
+DailyUsageSchema.index(
   { createdAt: 1 },
   { expireAfterSeconds: 7 * 24 * 60 * 60 }
 );
 
-const DailyUsage = mongoose.model("DailyUsage", DailyUsageSchema);
+const DailyUsage = mongoose.model("DailyUsage", DailyUsageSchema);
+
+const UserSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    email: { type: String, required: true, unique: true, index: true },
+    // null for accounts without a password login (see identities)
+    passwordHash: { type: String, default: null },
+    role: { type: String, enum: ["user", "admin"], default: "user" },
+    // false until a signup confirms the code we emailed; accounts created
+    // before verification existed have no value and are treated as verified
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date, default: null },
+    // Set by "log out everywhere"; rejects older tokens that carry no sid
+    tokensValidAfter: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "users" }
+);
+
+// Login methods linked to a User. Google identities are keyed by the
+// Google account id (`sub`), not the email, so a Google account stays
+// linked even if its address changes.
+const IdentitySchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["password", "google"], required: true },
+    subject: { type: String, default: null }, // Google "sub"
+    email: { type: String, default: null },
+    linkedAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+UserSchema.add({ identities: { type: [IdentitySchema], default: undefined } });
+UserSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $type: "string" } },
+  }
+);
+
+const User = mongoose.model("User", UserSchema);
+
+// Older users predate `identities`: Google users carry the
+// passwordHash "google_oauth" sentinel, everyone else a real hash.
+// Always returns plain objects so callers can copy and $set them back.
+function identitiesOf(user) {
+  if (user.identities?.length) {
+    return user.identities.map((i) => (i.toObject ? i.toObject() : i));
+  }
+  if (user.passwordHash === "google_oauth") {
+    return [{ provider: "google", subject: null, email: user.email }];
+  }
+  return user.passwordHash
+    ? [{ provider: "password", subject: null, email: user.email }]
+    : [];
+}
+
+function hasIdentity(user, provider) {
+  return identitiesOf(user).some((i) => i.provider === provider);
+}
+
+function hasPassword(user) {
+  return (
+    hasIdentity(user, "password") &&
+    !!user.passwordHash &&
+    user.passwordHash !== "google_oauth"
+  );
+}
+
+// Fill `identities` for older users and drop the "google_oauth" sentinel
+async function migrateUserIdentities() {
+  const google = await User.updateMany(
+    { identities: { $exists: false }, passwordHash: "google_oauth" },
+    [
+      {
+        $set: {
+          passwordHash: null,
+          identities: [
+            {
+              provider: "google",
+              subject: null, // filled in on the next Google sign-in
+              email: "$email",
+              linkedAt: "$createdAt",
+              lastUsedAt: null,
+            },
+          ],
+        },
+      },
+    ]
+  );
+  const password = await User.updateMany(
+    { identities: { $exists: false }, passwordHash: { $type: "string" } },
+    [
+      {
+        $set: {
+          identities: [
+            {
+              provider: "password",
+              subject: null,
+              email: "$email",
+              linkedAt: "$createdAt",
+              lastUsedAt: null,
+            },
+          ],
+        },
+      },
+    ]
+  );
+
+  const migrated = google.modifiedCount + password.modifiedCount;
+  if (migrated) console.log(`✅ Linked login identities for ${migrated} users`);
+}
+
+// Daily count of calls that identified themselves by email only
+const LegacyAuthCallSchema = new mongoose.Schema(
+  {
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    route: { type: String, required: true },
+    version: { type: String, required: true }, // x-extension-version
+    count: { type: Number, default: 0 },
+    lastSeenAt: { type: Date, default: Date.now },
+    lastIp: { type: String, default: null },
+  },
+  { collection: "legacy_auth_calls" }
+);
+
+LegacyAuthCallSchema.index({ day: 1, route: 1, version: 1 }, { unique: true });
+
+const LegacyAuthCall = mongoose.model("LegacyAuthCall", LegacyAuthCallSchema);
+
+// One login on one device. Access tokens carry the session id as `sid`.
+const SessionSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, index: true },
+    deviceId: { type: String, default: null },
+    deviceName: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    refreshHash: { type: String, default: null },
+    previousRefreshHash: { type: String, default: null }, // reuse detection
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+  },
+  { collection: "sessions" }
+);
+
+const Session = mongoose.model("Session", SessionSchema);
+
+// Gift codes / premium vouchers generated by admins in batches
+const VoucherSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true },
+    batchId: { type: String, required: true, index: true },
+    kind: {
+      type: String,
+      enum: ["premium", "emergency_unlock"],
+      required: true,
+    },
+    days: { type: Number, default: null }, // premium vouchers
+    credits: { type: Number, default: null }, // emergency_unlock vouchers
+    maxRedemptions: { type: Number, default: 1 }, // 1 = single-use
+    redeemedCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+    note: { type: String, default: null }, // e.g. "Reviewer giveaway"
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "vouchers" }
+);
+
+const Voucher = mongoose.model("Voucher", VoucherSchema);
+
+const VoucherRedemptionSchema = new mongoose.Schema(
+  {
+    voucherId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    code: { type: String, required: true, index: true },
+    email: { type: String, required: true, index: true },
+    entitlement: { type: mongoose.Schema.Types.Mixed },
+    redeemedAt: { type: Date, default: Date.now },
+  },
+  { collection: "voucher_redemptions" }
+);
+
+// A user can redeem a given (multi-use) code only once
+VoucherRedemptionSchema.index({ voucherId: 1, email: 1 }, { unique: true });
+
+const VoucherRedemption = mongoose.model(
+  "VoucherRedemption",
+  VoucherRedemptionSchema
+);
+
+// Family / team plans: the owner's seat-bearing terms cover every active
+// member until expiresAt, whatever else the owner's PaidUser holds
+const FamilyGroupSchema = new mongoose.Schema(
+  {
+    ownerEmail: { type: String, required: true, unique: true },
+    seats: { type: Number, required: true }, // includes the owner
+    // End of the owner's last plan with `seats`; null = never bought one
+    expiresAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "family_groups" }
+);
+
+const FamilyGroup = mongoose.model("FamilyGroup", FamilyGroupSchema);
+
+// Groups from before the family term was tracked get the end of the owner's
+// latest term on a plan with seats (less any refunded time)
+async function migrateFamilyGroups() {
+  const groups = await FamilyGroup.find({ expiresAt: null });
+  if (!groups.length) return;
+
+  const catalog = await getPlanCatalog();
+  const seatPlans = Object.keys(catalog).filter((id) => catalog[id].seats > 1);
+
+  let migrated = 0;
+  for (const group of groups) {
+    const term = await SubscriptionTerm.findOne({
+      email: group.ownerEmail,
+      $or: [{ plan: { $in: seatPlans } }, { seats: { $gt: 1 } }],
+    }).sort({ expiresAt: -1 });
+    if (!term) continue;
+
+    await FamilyGroup.updateOne(
+      { _id: group._id, expiresAt: null },
+      { $set: { expiresAt: new Date(term.expiresAt - (term.revokedMs || 0)) } }
+    );
+    migrated++;
+  }
+  if (migrated) {
+    console.log(`✅ Backfilled the family term of ${migrated} groups`);
+  }
+}
+
+const FamilyMemberSchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    email: { type: String, required: true },
+    status: { type: String, enum: ["invited", "active"], default: "invited" },
+    invitedAt: { type: Date, default: Date.now },
+    joinedAt: { type: Date, default: null },
+  },
+  { collection: "family_members" }
+);
+
+FamilyMemberSchema.index({ groupId: 1, email: 1 }, { unique: true });
+FamilyMemberSchema.index({ email: 1, status: 1 });
+// Someone can be an active member of one group at a time
+FamilyMemberSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+const FamilyMember = mongoose.model("FamilyMember", FamilyMemberSchema);
+
+// Feedback submissions, stored before the notification email is attempted
+const FeedbackSchema = new mongoose.Schema(
+  {
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    type: { type: String, required: true },
+    name: { type: String, required: true },
+    email: { type: String, required: true, index: true },
+    message: { type: String, required: true },
+    ip: { type: String, default: null },
+    geo: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+    },
+    device: {
+      browser: String,
+      os: String,
+      device: String,
+      isExtension: Boolean,
+    },
+    userAgent: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["new", "acknowledged", "resolved"],
+      default: "new",
+      index: true,
+    },
+    note: { type: String, default: null }, // internal triage note
+    emailStatus: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    emailError: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, index: true },
+    updatedAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date, default: null },
+  },
+  { collection: "feedback" }
+);
+
+const Feedback = mongoose.model("Feedback", FeedbackSchema);
+
+// Extension errors grouped by fingerprint (context + message + top frame)
+const ErrorGroupSchema = new mongoose.Schema(
+  {
+    fingerprint: { type: String, required: true, unique: true },
+    context: { type: String, default: null },
+    message: { type: String, default: null },
+    topFrame: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "ignored"],
+      default: "open",
+      index: true,
+    },
+    count: { type: Number, default: 0 },
+    userCount: { type: Number, default: 0 },
+    versions: { type: [String], default: [] },
+    lastVersion: { type: String, default: null },
+    samples: { type: [mongoose.Schema.Types.Mixed], default: [] }, // last 5
+    firstSeen: { type: Date, default: Date.now, index: true },
+    lastSeen: { type: Date, default: Date.now, index: true },
+    resolvedAt: { type: Date, default: null },
+    regressedAt: { type: Date, default: null, index: true },
+  },
+  { collection: "error_groups" }
+);
+
+const ErrorGroup = mongoose.model("ErrorGroup", ErrorGroupSchema);
+
+// One row per (group, reporting user or device) to count affected users
+const ErrorReporterSchema = new mongoose.Schema(
+  {
+    fingerprint: { type: String, required: true },
+    reporter: { type: String, required: true },
+    version: { type: String, default: null },
+    count: { type: Number, default: 0 },
+    firstSeen: { type: Date, default: Date.now },
+    lastSeen: { type: Date, default: Date.now },
+  },
+  { collection: "error_reporters" }
+);
+
+ErrorReporterSchema.index({ fingerprint: 1, reporter: 1 }, { unique: true });
+
+const ErrorReporter = mongoose.model("ErrorReporter", ErrorReporterSchema);
+
+// Persisted state of scheduled jobs (scheduler.js): schedule + lease
+const JobStateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    nextRunAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastStartedAt: { type: Date, default: null },
+    lastFinishedAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    lastStatus: { type: String, default: null }, // "ok" | "failed"
+    lastError: { type: String, default: null },
+    lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { collection: "jobs" }
+);
+
+const JobState = mongoose.model("JobState", JobStateSchema);
+
+// One row per self-service account deletion. Holds no personal data beyond
+// a hash of the address, so support can confirm a deletion happened.
+const AccountDeletionSchema = new mongoose.Schema(
+  {
+    emailHash: { type: String, required: true, index: true }, // sha256
+    method: { type: String, required: true }, // "password" | "code" | "google"
+    deleted: { type: mongoose.Schema.Types.Mixed }, // counts per collection
+    anonymized: { type: mongoose.Schema.Types.Mixed }, // counts per collection
+    retained: { type: mongoose.Schema.Types.Mixed }, // counts per collection
+    deletedAt: { type: Date, default: Date.now },
+  },
+  { collection: "account_deletions" }
+);
+
+const AccountDeletion = mongoose.model(
+  "AccountDeletion",
+  AccountDeletionSchema
+);
+
+// Audit trail of every /api/admin request
+const AdminAuditSchema = new mongoose.Schema(
+  {
+    actor: { type: String, required: true, index: true }, // admin email or "api_key"
+    via: { type: String, default: null }, // "jwt" | "api_key"
+    action: { type: String, required: true }, // e.g. "POST /api/admin/users/x/grant"
+    target: { type: String, default: null, index: true },
+    reason: { type: String, default: null },
+    statusCode: { type: Number, default: null },
+    query: { type: mongoose.Schema.Types.Mixed },
+    body: { type: mongoose.Schema.Types.Mixed },
+    details: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String, default: null },
+    at: { type: Date, default: Date.now, index: true },
+  },
+  { collection: "admin_audit" }
+);
+
+const AdminAudit = mongoose.model("AdminAudit", AdminAuditSchema);
+
+// Outstanding one-time codes (see otp.js); only an HMAC of the code is kept
+const OtpSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, index: true },
+    codeHash: { type: String, required: true },
+    purpose: { type: String, default: "pin_reset" },
+    attempts: { type: Number, default: 0 }, // wrong guesses on this code
+    createdAt: { type: Date, default: Date.now },
+    // TTL: each purpose has its own lifetime (OTP_TTL_MINUTES)
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 2 * 60 * 1000),
+      expires: 0,
+    },
+  },
+  { collection: "otps" }
+);
+
+const Otp = mongoose.model("Otp", OtpSchema);
+
+// Per-email send and failure counters for the current OTP window
+const OtpGuardSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true },
+    sends: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true, expires: 0 }, // window end
+  },
+  { collection: "otp_guards" }
+);
+
+const OtpGuard = mongoose.model("OtpGuard", OtpGuardSchema);
+
+// Minutes an emailed code stays valid, per purpose
+const OTP_TTL_MINUTES = {
+  pin_reset: 2,
+  verify_email: 30,
+  password_reset: 15,
+  account_delete: 15,
+};
+
+// The TTL used to be a fixed 2 minutes on createdAt; move it to expiresAt.
+// Codes stored in plain text before hashing can't be verified; drop them.
+async function migrateOtps() {
+  const plain = await Otp.deleteMany({ codeHash: { $exists: false } });
+  if (plain.deletedCount) {
+    console.log(`✅ Removed ${plain.deletedCount} plain-text OTPs`);
+  }
+
+  const indexes = await Otp.collection.indexes().catch((err) => {
+    if (err.codeName === "NamespaceNotFound") return []; // fresh database
+    throw err;
+  });
+  const old = indexes.find(
+    (i) => i.key?.createdAt === 1 && i.expireAfterSeconds !== undefined
+  );
+  if (!old) return;
+
+  await Otp.collection.dropIndex(old.name);
+  await Otp.deleteMany({ expiresAt: { $exists: false } });
+  await Otp.createIndexes();
+  console.log("✅ Moved otps TTL index to expiresAt");
+}
+
+const otps = createOtpService({
+  Otp,
+  OtpGuard,
+  secret: process.env.OTP_SECRET || JWT_SECRET,
+  ttlMinutes: OTP_TTL_MINUTES,
+});
+
+// Send the service's 429 (too many / too soon) to the client
+function otpThrottleResponse(res, err) {
+  res.setHeader("Retry-After", String(err.retryAfter));
+  return res
+    .status(429)
+    .json({ error: err.message, code: err.code, retryAfter: err.retryAfter });
+}
+
+// Response for a failed otps.verify(); null when the code was accepted
+function otpFailureResponse(res, result) {
+  if (result.ok) return null;
+  if (result.reason === "locked") {
+    res.setHeader("Retry-After", String(result.retryAfter));
+    return res.status(429).json({
+      error: "Too many wrong codes. Try again later.",
+      code: "otp_locked",
+      retryAfter: result.retryAfter,
+    });
+  }
+  return res.status(400).json({
+    error: "Invalid or expired code",
+    attemptsLeft: result.attemptsLeft,
+  });
+}
+
+const PinSettingsSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, index: true },
+    pinHash: { type: String, required: true }, // hashed PIN
+    areas: { type: [String], default: [] }, // e.g. ["pinlocktime", "pincustomurl"]
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { collection: "pin_settings" }
+);
+
+// PinSettingsSchema.index({ email: 1 }, { unique: true });
+
+const PinSettings = mongoose.model("PinSettings", PinSettingsSchema);
+
+// Promo codes applied at checkout. `value` is a percentage for "percent"
+// coupons and an amount in minor units of `currency` for "fixed" ones.
+const CouponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true },
+    type: { type: String, enum: ["percent", "fixed"], required: true },
+    value: { type: Number, required: true },
+    currency: { type: String, default: "INR" }, // fixed coupons only
+    plans: { type: [String], default: [] }, // empty = every plan
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    maxRedemptions: { type: Number, default: null }, // global cap
+    perUserLimit: { type: Number, default: 1 },
+    redeemedCount: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "coupons" }
+);
+
+const Coupon = mongoose.model("Coupon", CouponSchema);
+
+// A use of a coupon. Checkout reserves it (counted in redeemedCount right
+// away), payment turns it into "redeemed", and an order that expires or
+// fails gives it back as "released". Rows from before reservations are
+// all "redeemed".
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    code: { type: String, required: true },
+    email: { type: String, required: true, index: true },
+    plan: { type: String, required: true },
+    discount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    provider: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed", "released"],
+      default: "redeemed",
+    },
+    orderRef: { type: String, default: null }, // order / payment link id
+    paymentId: { type: String, default: null }, // set once paid
+    expiresAt: { type: Date, default: null }, // reservation deadline
+    reservedAt: { type: Date, default: null },
+    redeemedAt: { type: Date, default: null },
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, default: null },
+  },
+  // Indexes are built by migrateCouponRedemptionIndexes()
+  { collection: "coupon_redemptions", autoIndex: false }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, email: 1, status: 1 });
+CouponRedemptionSchema.index(
+  { couponId: 1, provider: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: "string" } } }
+);
+CouponRedemptionSchema.index(
+  { provider: 1, orderRef: 1 },
+  { unique: true, partialFilterExpression: { orderRef: { $type: "string" } } }
+);
+CouponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  CouponRedemptionSchema
+);
+
+// paymentId used to be required with a plain unique index, which can't
+// hold more than one unpaid reservation per coupon. Swap it for the
+// partial index before building the rest.
+async function migrateCouponRedemptionIndexes() {
+  const indexes = await CouponRedemption.collection.indexes().catch((err) => {
+    if (err.codeName === "NamespaceNotFound") return []; // fresh database
+    throw err;
+  });
+  const old = indexes.find(
+    (i) => i.key?.paymentId === 1 && i.unique && !i.partialFilterExpression
+  );
+
+  if (old) {
+    await CouponRedemption.collection.dropIndex(old.name);
+    console.log("✅ Made coupon_redemptions paymentId index partial");
+  }
+  await CouponRedemption.createIndexes();
+}
+
+// ------------------------------------------------------
+// Helper: PayPal client factory
+// PAYPAL_MODE=sandbox talks to the PayPal sandbox; anything else is live.
+// ------------------------------------------------------
+const PAYPAL_MODE = process.env.PAYPAL_MODE === "sandbox" ? "sandbox" : "live";
+
+function createPaypalClient() {
+  const clientId = process.env.PAYPAL_CLIENT_ID;
+  const clientSecret = process.env.PAYPAL_SECRET;
+  const environment =
+    PAYPAL_MODE === "sandbox"
+      ? new paypal.core.SandboxEnvironment(clientId, clientSecret)
+      : new paypal.core.LiveEnvironment(clientId, clientSecret);
+
+  return new paypal.core.PayPalHttpClient(environment);
+}
+
+// ------------------------------------------------------
+// Email goes through `mailer` (see mailer.js), set up at the top
+// ------------------------------------------------------
+
+// Root
+app.get("/", (req, res) => {
+  res.send("Backend is running ✔️");
+});
+
+// Verify a Google id_token (mobile) or access_token (extension) and return
+// the Google account it belongs to. Throws with statusCode on bad input.
+async function verifyGoogleToken({ id_token, access_token } = {}) {
+  let account;
+
+  if (id_token) {
+    const ticket = await googleClient.verifyIdToken({
+      idToken: id_token,
+      audience: GOOGLE_CLIENT_ID,
+    });
+    const payload = ticket.getPayload();
+    account = {
+      sub: payload.sub,
+      email: payload.email,
+      name: payload.name || payload.email,
+      emailVerified: payload.email_verified === true,
+    };
+  } else if (access_token) {
+    // For implicit flow tokens, tokeninfo is a light-weight verification
+    const tokenInfo = await googleClient.getTokenInfo(access_token);
+
+    // Ensure token audience matches your client ID
+    if (!tokenInfo || tokenInfo.aud !== GOOGLE_CLIENT_ID) {
+      console.warn(
+        "Google token audience mismatch or invalid token:",
+        tokenInfo
+      );
+      const err = new Error("Invalid token");
+      err.statusCode = 401;
+      throw err;
+    }
+
+    account = {
+      sub: tokenInfo.sub,
+      email: tokenInfo.email,
+      name: tokenInfo.email || tokenInfo.sub || "unknown",
+      // tokeninfo sends the string "true"
+      emailVerified:
+        tokenInfo.email_verified === true ||
+        tokenInfo.email_verified === "true",
+    };
+  } else {
+    const err = new Error("Missing Google token");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // Tokens issued without the email scope can't be matched to an account
+  if (!account.email) {
+    const err = new Error("Google token has no email; grant the email scope");
+    err.statusCode = 400;
+    throw err;
+  }
+  return account;
+}
+
+// ------------------------------------------------------
+// New: Exchange Google access_token for JWT
+// ------------------------------------------------------
+// Accounts are matched by Google account id first, then by email:
+//  - no account            -> create one with a Google identity, verified
+//    only if Google verified the address
+//  - older Google account  -> record the Google id on it, if Google
+//    verified the address (409 identity_conflict otherwise)
+//  - password-only account -> refuse with 409 link_required (the user logs
+//    in with the password and links Google), unless that account never
+//    verified its email: then Google's verified address wins and the
+//    unproven password is removed.
+app.post("/api/auth/google", express.json(), async (req, res) => {
+  let google;
+  try {
+    google = await verifyGoogleToken(req.body);
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Google auth verify failed:", err);
+    return res.status(401).json({ error: "Invalid or expired Google token" });
+  }
+
+  const email = google.email.toLowerCase().trim();
+  const name = google.name;
+  const now = new Date();
+
+  try {
+    let user = await User.findOne({
+      identities: { $elemMatch: { provider: "google", subject: google.sub } },
+    });
+
+    if (!user) {
+      const existing = await User.findOne({ email });
+
+      if (!existing) {
+        user = await User.create({
+          name: name || email,
+          email,
+          passwordHash: null,
+          identities: [{ provider: "google", subject: google.sub, email }],
+          // Only trust the address once Google has confirmed it
+          emailVerified: google.emailVerified,
+          emailVerifiedAt: google.emailVerified ? now : null,
+          createdAt: now,
+        });
+        console.log("✅ New Google user saved to DB:", email);
+      } else if (hasIdentity(existing, "google")) {
+        const linked = identitiesOf(existing).find(
+          (i) => i.provider === "google"
+        );
+        // A legacy identity without a subject is only adopted when Google
+        // vouches for the address; anyone else could claim it by email
+        if (
+          (linked.subject && linked.subject !== google.sub) ||
+          !google.emailVerified
+        ) {
+          return res.status(409).json({
+            error: "This email is linked to a different Google account",
+            code: "identity_conflict",
+          });
+        }
+        await User.updateOne(
+          { _id: existing._id },
+          {
+            $set: {
+              passwordHash: hasPassword(existing)
+                ? existing.passwordHash
+                : null,
+              identities: identitiesOf(existing).map((i) =>
+                i.provider === "google" ? { ...i, subject: google.sub } : i
+              ),
+            },
+          }
+        );
+        user = existing;
+      } else if (existing.emailVerified === false && google.emailVerified) {
+        await User.updateOne(
+          { _id: existing._id },
+          {
+            $set: {
+              passwordHash: null,
+              identities: [{ provider: "google", subject: google.sub, email }],
+              emailVerified: true,
+              emailVerifiedAt: now,
+              tokensValidAfter: now,
+            },
+          }
+        );
+        await revokeSessions({ email }, "claimed_by_google");
+        console.warn(
+          `⚠️ Unverified password account claimed via Google: ${email}`
+        );
+        user = existing;
+      } else {
+        return res.status(409).json({
+          error:
+            "An account with this email already exists. Log in with your password, then link Google from account settings.",
+          code: "link_required",
+          providers: identitiesOf(existing).map((i) => i.provider),
+        });
+      }
+    }
+
+    // Keep display name in sync with whatever Google returns
+    await User.updateOne(
+      { _id: user._id, "identities.provider": "google" },
+      {
+        $set: {
+          "identities.$.lastUsedAt": now,
+          ...(name && user.name !== name && { name }),
+        },
+      }
+    );
+    console.log("✅ Google user logged in:", user.email);
+
+    // Sign JWT for extension to use
+    const tokens = await issueSession(req, user);
+
+    return res.json({
+      ...tokens,
+      email: user.email,
+      name,
+    });
+  } catch (err) {
+    console.error("Google auth error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ⚠️ ONLY Global Middleware: CORS
+app.use(cors());
+
+// Root check
+app.get("/", (req, res) => {
+  res.send("Backend is running ✔️");
+});
+
+// ------------------------------------------------------
+// Payment link creation (Razorpay) - uses express.json() only on route
+// ------------------------------------------------------
+app.post(
+  "/api/create-payment-link",
+  createPaymentLimiter,
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const { email, callback_url, phone, plan: planId, coupon } = req.body;
+
+    if (!planId || !email) {
+      return res
+        .status(400)
+        .json({ error: "Missing plan or email in request." });
+    }
+
+    // The server prices the link from the catalog and applies any coupon;
+    // a client-supplied amount is ignored.
+    let amountInPaise;
+    let notes;
+    let priced;
+    let plan;
+    try {
+      plan = resolvePlanById(await getPlanCatalog(), planId);
+      if (!plan) {
+        return res.status(400).json({ error: "Unknown plan" });
+      }
+
+      priced = await priceWithCoupon({
+        plan,
+        currency: "INR",
+        code: coupon,
+        email: email.toLowerCase().trim(),
+      });
+      if (priced.error) {
+        return res.status(400).json({ error: priced.error });
+      }
+
+      amountInPaise = priced.amount;
+      notes = {
+        email,
+        plan: plan.id,
+        ...(priced.coupon && {
+          coupon: priced.coupon.code,
+          discount: String(priced.discount),
+        }),
+      };
+    } catch (err) {
+      console.error("❌ Payment link pricing error:", err);
+      return res.status(500).json({ error: "Failed to create payment link." });
+    }
+
+    const expireInSeconds = 25 * 60; // 25 minutes
+    const expireTime = Math.floor(Date.now() / 1000) + expireInSeconds;
+
+    console.log(
+      `[Link Creation] Calculated Expire Time (UNIX): ${expireTime} (${expireInSeconds} seconds from now)`
+    );
+
+    const paymentLinkData = {
+      amount: amountInPaise,
+      currency: "INR",
+      expire_by: expireTime,
+      reference_id: `REF_${Date.now()}`,
+      description: "Premium Feature Access",
+      notes,
+      customer: {
+        email: email,
+        contact: phone || "" 
+      },
+      notify: { email: true, sms: false },
+      reminder_enable: true,
+      callback_url:
+        callback_url ||
+        "chrome-extension://hokdmlppdlkokmlolddngkcceadflbke/premium.html",
+      callback_method: "get",
+      options: {
+        checkout: {
+          name: "BlockSocialMedia",
+          hidden: {
+            contact: true,
+          },
+          readonly: {
+            contact: true,
+          },
+        },
+      },
+    };
+
+    // Held until shortly after the link expires, in case a payment that
+    // started just before expiry completes
+    let reservation = null;
+    if (priced.coupon) {
+      try {
+        const held = await reserveCoupon({
+          coupon: priced.coupon,
+          email: email.toLowerCase().trim(),
+          plan,
+          discount: priced.discount,
+          currency: "INR",
+          provider: "razorpay",
+          expiresAt: new Date((expireTime + 15 * 60) * 1000),
+        });
+        if (held.error) {
+          return res.status(400).json({ error: held.error });
+        }
+        reservation = held.reservation;
+      } catch (err) {
+        console.error("❌ Coupon reservation error:", err);
+        return res
+          .status(500)
+          .json({ error: "Failed to create payment link." });
+      }
+    }
+
+    try {
+      const link = await razorpay.paymentLink.create(paymentLinkData);
+      await attachCouponReservation(reservation, link.id);
+      console.log(`✔️ New Payment Link Created: ${link.short_url}`);
+      res.status(200).json({
+        link_url: link.short_url,
+        link_id: link.id,
+      });
+    } catch (error) {
+      console.error("❌ Error creating Razorpay link:", error);
+      if (reservation) {
+        await releaseCouponReservation(
+          { _id: reservation._id },
+          "order_failed"
+        ).catch((e) => console.error("❌ Coupon release error:", e));
+      }
+      res.status(500).json({ error: "Failed to create payment link." });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Emergency payment link creation
+// POST /api/create-emergency-payment-link  { email, plan = "emergency" }
+// Priced from the catalog; a client-supplied amount is ignored.
+// ------------------------------------------------------
+app.post(
+  "/api/create-emergency-payment-link",
+  createPaymentLimiter,
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const { email, plan: planId = "emergency" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Missing email in request." });
+    }
+
+    let plan;
+    let amountInPaise;
+    try {
+      plan = resolvePlanById(await getPlanCatalog(), planId);
+      if (!plan || plan.entitlement !== "emergency_unlock") {
+        return res.status(400).json({ error: "Unknown emergency plan" });
+      }
+      amountInPaise = planPrice(plan, "INR");
+      if (amountInPaise === null) {
+        return res
+          .status(400)
+          .json({ error: "Plan is not available in this currency" });
+      }
+    } catch (err) {
+      console.error("❌ Emergency link pricing error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to create payment link for Emergency Lock." });
+    }
+
+    const expireInSeconds = 25 * 60; // 25 minutes
+    const expireTime = Math.floor(Date.now() / 1000) + expireInSeconds;
+
+    console.log(
+      `[Link Creation] Calculated Expire Time (UNIX): ${expireTime} (${expireInSeconds} seconds from now)`
+    );
+
+    const paymentLinkData = {
+      amount: amountInPaise,
+      currency: "INR",
+      expire_by: expireTime,
+      reference_id: `REF_${Date.now()}`,
+      description: "Emergency unlock fetaures",
+      notes: { email, plan: plan.id },
+      customer: { email: email },
+      notify: { email: true, sms: false },
+      reminder_enable: true,
+      callback_url:
+        "chrome-extension://hokdmlppdlkokmlolddngkcceadflbke/premium.html",
+      callback_method: "get",
+      options: {
+        checkout: {
+          name: "BlockSocialMedia", // forces app name in checkout
+        },
+      },
+    };
+
+    try {
+      const link = await razorpay.paymentLink.create(paymentLinkData);
+      console.log(`✔️ New Emergency Payment Link Created: ${link.short_url}`);
+
+      res.status(200).json({
+        link_url: link.short_url,
+        link_id: link.id,
+      });
+    } catch (error) {
+      console.error(
+        "❌ Error creating Razorpay link for Emergency Lock:",
+        error
+      );
+      res
+        .status(500)
+        .json({ error: "Failed to create payment link for Emergency Lock." });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Payment ledger helpers
+// ------------------------------------------------------
+// A "received" entry older than this is assumed to belong to a crashed
+// delivery and may be taken over by a retry.
+const LEDGER_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Claim a provider event in the Payment ledger before acting on it.
+ *
+ * Returns { entry, replay, inFlight }:
+ *  - replay:   the event was already handled; acknowledge and change nothing.
+ *  - inFlight: another delivery of the same event is being processed now.
+ * Otherwise the caller owns `entry` and must finish it with settlePaymentEvent().
+ */
+async function claimPaymentEvent({
+  provider,
+  eventId,
+  event,
+  paymentId,
+  payload,
+}) {
+  const keys = [];
+  if (eventId) keys.push({ eventId });
+  if (paymentId) keys.push({ event, paymentId });
+
+  const findExisting = () =>
+    keys.length ? Payment.findOne({ provider, $or: keys }) : null;
+
+  let existing = await findExisting();
+  if (!existing) {
+    try {
+      const entry = await Payment.create({
+        provider,
+        eventId,
+        event,
+        paymentId,
+        payload,
+      });
+      return { entry };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // Lost the race against a concurrent delivery of the same event
+      existing = await findExisting();
+    }
+  }
+
+  if (
+    ["processed", "ignored", "flagged", "revoked"].includes(existing.status)
+  ) {
+    return { entry: existing, replay: true };
+  }
+
+  // Failed earlier, or stuck in "received" after a crash: take it over.
+  const staleBefore = new Date(Date.now() - LEDGER_STALE_MS);
+  const reclaimed = await Payment.findOneAndUpdate(
+    {
+      _id: existing._id,
+      $or: [
+        { status: "failed" },
+        { status: "received", receivedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: { status: "received", reason: null, receivedAt: new Date() },
+    },
+    { new: true }
+  );
+
+  if (!reclaimed) return { entry: existing, inFlight: true };
+  return { entry: reclaimed };
+}
+
+async function settlePaymentEvent(entry, status, fields = {}) {
+  await Payment.updateOne(
+    { _id: entry._id },
+    { $set: { ...fields, status, processedAt: new Date() } }
+  );
+}
+
+/**
+ * Apply a purchased catalog plan to `email` and return the ledger
+ * entitlement describing what was granted.
+ *
+ * Premium terms stack: the new term starts at the later of now and the
+ * current expiresAt, so renewing early never loses remaining days. Each
+ * term is also written to SubscriptionTerm as the user's history.
+ *
+ * `payment` is { provider, paymentId, linkId } of the purchase.
+ */
+async function grantPlanEntitlement({ email, plan, amount, payment = {} }) {
+  const isRazorpay = payment.provider === "razorpay";
+
+  if (plan.entitlement === "emergency_unlock") {
+    const unlocks = await EmergencyUnlock.insertMany(
+      Array.from({ length: plan.credits || 1 }, () => ({
+        email,
+        amount,
+        status: "paid",
+        used: false,
+        razorpay_payment_id: (isRazorpay && payment.paymentId) || null,
+        razorpay_link_id: (isRazorpay && payment.linkId) || null,
+      }))
+    );
+    return {
+      kind: "emergency_unlock",
+      plan: plan.id,
+      refId: unlocks.map((u) => String(u._id)).join(","),
+    };
+  }
+
+  if (plan.entitlement !== "premium") {
+    throw new Error(`Unsupported entitlement "${plan.entitlement}"`);
+  }
+
+  const now = new Date();
+  const durationMs = plan.durationDays * 24 * 60 * 60 * 1000;
+
+  // Pipeline update so the "later of now and expiresAt" read and the write
+  // happen atomically; $max ignores a missing expiresAt.
+  const user = await PaidUser.findOneAndUpdate(
+    { email },
+    [
+      {
+        $set: {
+          paidAt: now,
+          amount,
+          expiresAt: { $add: [{ $max: ["$expiresAt", now] }, durationMs] },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  const expiresAt = user.expiresAt;
+  const startsAt = new Date(expiresAt.getTime() - durationMs);
+
+  // Group plans open the owner's family group, or extend it to the end of
+  // this term. Seats only grow while the family term is still running; a
+  // lapsed group starts over with this plan's seats.
+  if (plan.seats > 1) {
+    await FamilyGroup.updateOne(
+      { ownerEmail: email },
+      [
+        {
+          $set: {
+            seats: {
+              $cond: [
+                { $gt: ["$expiresAt", now] },
+                { $max: ["$seats", plan.seats] },
+                plan.seats,
+              ],
+            },
+            expiresAt: { $max: ["$expiresAt", expiresAt] },
+            createdAt: { $ifNull: ["$createdAt", now] },
+          },
+        },
+      ],
+      { upsert: true }
+    );
+  }
+
+  const term = await SubscriptionTerm.create({
+    email,
+    plan: plan.id,
+    provider: payment.provider || null,
+    paymentId: payment.paymentId || null,
+    amount,
+    startsAt,
+    expiresAt,
+    seats: plan.seats > 1 ? plan.seats : null,
+  });
+
+  return {
+    kind: "premium",
+    plan: plan.id,
+    expiresAt,
+    refId: String(term._id),
+  };
+}
+
+// ------------------------------------------------------
+// Refunds, failed charges and disputes
+// ------------------------------------------------------
+
+// Refund, dispute and reinstatement events for one payment can arrive at
+// the same time. Each one first moves refundedAmount with a conditional
+// update on the value it read, and only touches PaidUser, SubscriptionTerm
+// or EmergencyUnlock once that succeeded; a loser re-reads and tries again.
+const LEDGER_UPDATE_ATTEMPTS = 5;
+
+// Matches a ledger entry whose refundedAmount is still `amount`; rows from
+// before refunds existed have no value at all
+function refundedAmountIs(amount) {
+  return amount ? amount : { $in: [0, null] };
+}
+
+/**
+ * Take back what a ledger payment granted and record why on the ledger
+ * entry. `amount` (minor units) limits a partial refund to the same share
+ * of the premium term and of the unused emergency credits; null revokes
+ * whatever is left. Returns null when no processed payment matches
+ * `paymentId`.
+ */
+async function revokePaymentEntitlement({
+  provider,
+  paymentId,
+  amount = null,
+  event,
+  reason,
+}) {
+  for (let attempt = 0; attempt < LEDGER_UPDATE_ATTEMPTS; attempt++) {
+    const original = await Payment.findOne({
+      provider,
+      paymentId,
+      status: { $in: ["processed", "revoked"] },
+      "entitlement.kind": { $ne: null },
+    });
+    if (!original) return null;
+
+    const paid = original.amount || 0;
+    const refunded = original.refundedAmount || 0;
+    const remaining = paid - refunded;
+    const share = amount === null ? remaining : Math.min(amount, remaining);
+    if (share <= 0) return { original, revocation: null };
+
+    const revocation = { event, reason, amount: share, at: new Date() };
+    const { kind, refId } = original.entitlement;
+
+    let term = null;
+    if (kind === "premium") {
+      term = await SubscriptionTerm.findById(refId);
+      if (term) {
+        const termMs = term.expiresAt - term.startsAt;
+        revocation.removedMs = Math.round(paid ? (termMs * share) / paid : 0);
+      }
+    } else if (kind === "emergency_unlock") {
+      // Credits another revocation has claimed but not marked yet
+      const claimed = new Set(
+        original.revocations
+          .filter((r) => !r.reinstated)
+          .flatMap((r) => r.unlockIds || [])
+      );
+      const ids = (refId || "").split(",").filter(Boolean);
+      const unused = (
+        await EmergencyUnlock.find(
+          { _id: { $in: ids }, status: "paid" },
+          { _id: 1 }
+        )
+      )
+        .map((u) => String(u._id))
+        .filter((id) => !claimed.has(id));
+      // Proportional to what is still refundable, so refunding the rest
+      // of the payment takes the rest of the credits
+      const count = Math.ceil((unused.length * share) / remaining);
+      revocation.unlockIds = unused.slice(0, count);
+    }
+
+    const reserved = await Payment.findOneAndUpdate(
+      { _id: original._id, refundedAmount: refundedAmountIs(refunded) },
+      {
+        $inc: { refundedAmount: share },
+        $push: { revocations: revocation },
+        $set: { status: refunded + share >= paid ? "revoked" : "processed" },
+      },
+      { new: true }
+    );
+    if (!reserved) continue; // another event moved it first
+
+    if (term && revocation.removedMs) {
+      await PaidUser.updateOne({ email: original.email }, [
+        {
+          $set: {
+            expiresAt: { $subtract: ["$expiresAt", revocation.removedMs] },
+          },
+        },
+      ]);
+      await SubscriptionTerm.updateOne(
+        { _id: term._id },
+        {
+          $inc: { revokedMs: revocation.removedMs },
+          $set: { revokedReason: reason, revokedAt: revocation.at },
+        }
+      );
+      if (term.seats) {
+        await FamilyGroup.updateOne({ ownerEmail: original.email }, [
+          {
+            $set: {
+              expiresAt: { $subtract: ["$expiresAt", revocation.removedMs] },
+            },
+          },
+        ]);
+      }
+    }
+
+    if (revocation.unlockIds?.length) {
+      await EmergencyUnlock.updateMany(
+        { _id: { $in: revocation.unlockIds }, status: "paid" },
+        { $set: { status: "revoked", revokedReason: reason } }
+      );
+    }
+
+    console.log(
+      `↩️ ${reason}: revoked ${share}/${paid} of payment ${paymentId} for ${original.email}`
+    );
+    return { original: reserved, revocation };
+  }
+
+  throw new Error(`Payment ${paymentId} kept changing; revocation not applied`);
+}
+
+/**
+ * Undo earlier revocations with one of `reasons` (e.g. a dispute that was
+ * won). Restored premium time is added from the later of now and the
+ * current expiresAt. Returns null when no processed payment matches.
+ */
+async function reinstatePaymentEntitlement({ provider, paymentId, reasons }) {
+  for (let attempt = 0; attempt < LEDGER_UPDATE_ATTEMPTS; attempt++) {
+    const original = await Payment.findOne({
+      provider,
+      paymentId,
+      "entitlement.kind": { $ne: null },
+    });
+    if (!original) return null;
+
+    const pending = original.revocations
+      .map((r, index) => ({ r, index }))
+      .filter(({ r }) => !r.reinstated && reasons.includes(r.reason));
+    if (!pending.length) return { original, restored: 0 };
+
+    const restoredMs = pending.reduce(
+      (sum, { r }) => sum + (r.removedMs || 0),
+      0
+    );
+    const restoredAmount = pending.reduce(
+      (sum, { r }) => sum + (r.amount || 0),
+      0
+    );
+    const unlockIds = pending.flatMap(({ r }) => r.unlockIds || []);
+
+    // Claim the revocations before giving anything back, so two "won"
+    // events can't both restore the same time
+    const refunded = original.refundedAmount || 0;
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: original._id,
+        refundedAmount: refundedAmountIs(refunded),
+        ...Object.fromEntries(
+          pending.map(({ index }) => [`revocations.${index}.reinstated`, false])
+        ),
+      },
+      {
+        $inc: { refundedAmount: -Math.min(restoredAmount, refunded) },
+        $set: {
+          status: "processed",
+          ...Object.fromEntries(
+            pending.map(({ index }) => [
+              `revocations.${index}.reinstated`,
+              true,
+            ])
+          ),
+        },
+      },
+      { new: true }
+    );
+    if (!reserved) continue;
+
+    if (restoredMs) {
+      await PaidUser.updateOne({ email: original.email }, [
+        {
+          $set: {
+            expiresAt: {
+              $add: [{ $max: ["$expiresAt", new Date()] }, restoredMs],
+            },
+          },
+        },
+      ]);
+      const term = await SubscriptionTerm.findOneAndUpdate(
+        { _id: original.entitlement.refId },
+        { $inc: { revokedMs: -restoredMs } }
+      );
+      if (term?.seats) {
+        await FamilyGroup.updateOne({ ownerEmail: original.email }, [
+          {
+            $set: {
+              expiresAt: {
+                $add: [{ $max: ["$expiresAt", new Date()] }, restoredMs],
+              },
+            },
+          },
+        ]);
+      }
+    }
+
+    if (unlockIds.length) {
+      await EmergencyUnlock.updateMany(
+        { _id: { $in: unlockIds }, status: "revoked" },
+        { $set: { status: "paid", revokedReason: null } }
+      );
+    }
+
+    console.log(
+      `✅ Reinstated payment ${paymentId} for ${original.email} (${reasons.join(
+        ", "
+      )})`
+    );
+    return { original: reserved, restored: restoredAmount };
+  }
+
+  throw new Error(
+    `Payment ${paymentId} kept changing; reinstatement not applied`
+  );
+}
+
+// ------------------------------------------------------
+// Recurring billing (Razorpay Subscriptions)
+// ------------------------------------------------------
+const ACTIVE_SUBSCRIPTION_STATUSES = ["created", "authenticated", "active"];
+
+/**
+ * Razorpay plan id for a catalog plan at its current price. Razorpay plans
+ * are immutable, so one is created per (plan, amount, currency) and cached
+ * in AppConfig "razorpay_plan_ids".
+ */
+async function ensureRazorpayPlan(plan) {
+  const cacheKey = `${plan.id}:${plan.amountPaise}:${plan.currency}`;
+  const config = await AppConfig.findOne({ key: "razorpay_plan_ids" }).lean();
+  const cached = config?.value?.[cacheKey];
+  if (cached) return cached;
+
+  const created = await razorpay.plans.create({
+    period: plan.recurring.period,
+    interval: plan.recurring.interval || 1,
+    item: {
+      name: `BlockSocialMedia Premium (${plan.id})`,
+      amount: plan.amountPaise,
+      currency: plan.currency,
+      description: plan.description || "",
+    },
+    notes: { plan: plan.id },
+  });
+
+  await AppConfig.updateOne(
+    { key: "razorpay_plan_ids" },
+    {
+      $set: { [`value.${cacheKey}`]: created.id, updatedAt: new Date() },
+    },
+    { upsert: true }
+  );
+
+  console.log(`✅ Razorpay plan created: ${created.id} for ${cacheKey}`);
+  return created.id;
+}
+
+// Turning renewal off only applies to the subscription the user is on now,
+// so a late halted/cancelled event for a replaced one leaves it alone
+async function setAutoRenew(email, subscriptionId, autoRenew) {
+  await PaidUser.updateOne(autoRenew ? { email } : { email, subscriptionId }, {
+    $set: { autoRenew, subscriptionId: autoRenew ? subscriptionId : null },
+  });
+}
+
+// ------------------------------------------------------
+// Create a recurring subscription
+// POST /api/subscriptions/create  { email, plan }
+// Returns the Razorpay hosted page (short_url) where the user authorises
+// the mandate. Premium is granted by the subscription.charged webhook.
+// ------------------------------------------------------
+app.post(
+  "/api/subscriptions/create",
+  createPaymentLimiter,
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const { email: bodyEmail, plan: planId = "monthly" } = req.body || {};
+    const email = (req.user?.email || bodyEmail || "").toLowerCase().trim();
+
+    if (!email) {
+      return res.status(400).json({ error: "Missing email" });
+    }
+
+    try {
+      const catalog = await getPlanCatalog();
+      const plan = resolvePlanById(catalog, planId);
+      if (!plan || !plan.recurring) {
+        return res
+          .status(400)
+          .json({ error: "Plan is not available as a subscription" });
+      }
+
+      const existing = await RazorpaySubscription.findOne({
+        email,
+        status: { $in: ACTIVE_SUBSCRIPTION_STATUSES },
+        cancelAtCycleEnd: false,
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: "Subscription already exists",
+          subscription_id: existing.subscriptionId,
+          status: existing.status,
+        });
+      }
+
+      const razorpayPlanId = await ensureRazorpayPlan(plan);
+
+      const subscription = await razorpay.subscriptions.create({
+        plan_id: razorpayPlanId,
+        total_count: plan.recurring.totalCount,
+        customer_notify: 1,
+        notes: { email, plan: plan.id },
+      });
+
+      await RazorpaySubscription.create({
+        subscriptionId: subscription.id,
+        email,
+        plan: plan.id,
+        razorpayPlanId,
+        amount: plan.amountPaise,
+        currency: plan.currency,
+        status: subscription.status || "created",
+      });
+
+      console.log(
+        `✅ Razorpay subscription created: ${subscription.id} for ${email}`
+      );
+
+      return res.json({
+        subscription_id: subscription.id,
+        short_url: subscription.short_url,
+        status: subscription.status,
+      });
+    } catch (err) {
+      console.error("❌ Create subscription error:", err);
+      return res.status(500).json({ error: "Failed to create subscription" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Cancel the caller's recurring subscription (JWT required)
+// POST /api/subscriptions/cancel  { atCycleEnd = true }
+// With atCycleEnd the paid term runs out normally; otherwise Razorpay
+// stops it immediately. Premium already granted is kept either way.
+// ------------------------------------------------------
+app.post(
+  "/api/subscriptions/cancel",
+  express.json(),
+  verifyJwt,
+  async (req, res) => {
+    const email = req.user?.email?.toLowerCase().trim();
+    if (!email) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const atCycleEnd = req.body?.atCycleEnd !== false;
+
+    try {
+      const local = await RazorpaySubscription.findOne({
+        email,
+        status: { $in: ACTIVE_SUBSCRIPTION_STATUSES },
+      }).sort({ createdAt: -1 });
+
+      if (!local) {
+        return res.status(404).json({ error: "No active subscription" });
+      }
+
+      // Razorpay only schedules cycle-end cancellation for active mandates
+      const scheduleAtEnd = atCycleEnd && local.status === "active";
+      const updated = await razorpay.subscriptions.cancel(
+        local.subscriptionId,
+        scheduleAtEnd
+      );
+
+      local.status = scheduleAtEnd
+        ? local.status
+        : updated.status || "cancelled";
+      local.cancelAtCycleEnd = scheduleAtEnd;
+      local.updatedAt = new Date();
+      await local.save();
+
+      await setAutoRenew(email, local.subscriptionId, false);
+
+      console.log(
+        `🛑 Subscription ${local.subscriptionId} cancelled for ${email}${
+          scheduleAtEnd ? " at cycle end" : ""
+        }`
+      );
+
+      return res.json({
+        success: true,
+        subscription_id: local.subscriptionId,
+        status: local.status,
+        cancelAtCycleEnd: scheduleAtEnd,
+      });
+    } catch (err) {
+      console.error("❌ Cancel subscription error:", err);
+      return res.status(500).json({ error: "Failed to cancel subscription" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Razorpay webhook event handlers
+// Each returns the ledger outcome: { status, reason?, email?, amount?,
+// currency?, entitlement? }. Throwing marks the event failed (500 → retry).
+// ------------------------------------------------------
+async function handlePaymentLinkPaid(body) {
+  let email =
+    body.payload.payment?.entity?.email ||
+    body.payload.payment_link?.entity?.customer?.email ||
+    body.payload.payment_link?.entity?.email ||
+    null;
+
+  const paymentId = body.payload.payment?.entity?.id || null;
+  const amount = body.payload.payment?.entity?.amount;
+  const currency = body.payload.payment?.entity?.currency || "INR";
+  const linkId = body.payload.payment_link?.entity?.id;
+
+  if ((!email || email.includes("razorpay.com")) && linkId) {
+    console.log(
+      `🔍 Email missing or invalid in webhook payload. Falling back to Razorpay API fetch for link ${linkId}...`
+    );
+    try {
+      const linkDetails = await razorpay.paymentLink.fetch(linkId);
+      email = linkDetails.customer?.email || null;
+
+      if (email) {
+        console.log("✔️ Email successfully fetched via Razorpay API:", email);
+      } else {
+        console.warn(
+          "⚠️ Email still not found after fetching link details from API."
+        );
+      }
+    } catch (apiError) {
+      console.error("❌ Razorpay API Fetch Error:", apiError);
+    }
+  }
+
+  if (
+    !email ||
+    email.includes("razorpay.com") ||
+    amount === undefined ||
+    amount === null
+  ) {
+    console.warn(
+      "⚠️ Webhook processing skipped. Customer email was still null/placeholder or amount was missing after all checks."
+    );
+    return {
+      status: "ignored",
+      amount: amount ?? null,
+      currency,
+      reason: "missing_email_or_amount",
+    };
+  }
+
+  const cleanedEmail = email.toLowerCase().trim();
+
+  // Links created with a plan id carry it (and any coupon) in their notes;
+  // older links are matched by amount.
+  const notes = body.payload.payment_link?.entity?.notes || {};
+  const discount = Number(notes.discount || 0);
+  const catalog = await getPlanCatalog();
+
+  let plan;
+  let problem = null;
+  if (notes.plan) {
+    plan = resolvePlanById(catalog, notes.plan);
+    if (!plan) problem = "unknown_plan";
+    else if (!paymentMatchesPlan(plan, amount, currency, discount)) {
+      problem = "amount_mismatch";
+    }
+  } else {
+    plan = resolvePlanByAmount(catalog, amount, currency);
+    if (!plan) problem = "unknown_amount";
+  }
+
+  if (problem) {
+    console.warn(
+      `🚩 ${problem}: ${amount} ${currency} from ${cleanedEmail} flagged for review`
+    );
+    return {
+      status: "flagged",
+      email: cleanedEmail,
+      amount,
+      currency,
+      reason: problem,
+    };
+  }
+
+  const entitlement = await grantPlanEntitlement({
+    email: cleanedEmail,
+    plan,
+    amount,
+    payment: { provider: "razorpay", paymentId, linkId },
+  });
+  console.log(`✔️ ${plan.id} purchase applied for: ${cleanedEmail}`);
+
+  await recordCouponRedemption({
+    code: notes.coupon,
+    email: cleanedEmail,
+    plan: plan.id,
+    discount,
+    currency,
+    provider: "razorpay",
+    paymentId,
+    orderRef: linkId,
+  });
+
+  return {
+    status: "processed",
+    email: cleanedEmail,
+    amount,
+    currency,
+    entitlement,
+  };
+}
+
+/**
+ * Sync the local RazorpaySubscription from a subscription.* payload.
+ * Returns the updated record, or null for subscriptions we didn't create.
+ */
+async function syncRazorpaySubscription(entity) {
+  const update = { status: entity.status, updatedAt: new Date() };
+  if (entity.current_end) {
+    update.currentEnd = new Date(entity.current_end * 1000);
+  }
+  if (entity.status === "cancelled" || entity.status === "completed") {
+    update.cancelAtCycleEnd = false;
+  }
+
+  return RazorpaySubscription.findOneAndUpdate(
+    { subscriptionId: entity.id },
+    { $set: update },
+    { new: true }
+  );
+}
+
+async function handleSubscriptionStatus(body) {
+  const entity = body.payload.subscription?.entity;
+  if (!entity?.id) {
+    return { status: "ignored", reason: "missing_subscription" };
+  }
+
+  const local = await syncRazorpaySubscription(entity);
+  if (!local) {
+    console.warn(`⚠️ Unknown Razorpay subscription ${entity.id}`);
+    return { status: "flagged", reason: "unknown_subscription" };
+  }
+
+  // activated keeps renewing; halted (retries exhausted) and cancelled stop.
+  // The already-paid term simply runs out at expiresAt.
+  const autoRenew = body.event === "subscription.activated";
+  await setAutoRenew(local.email, local.subscriptionId, autoRenew);
+
+  console.log(
+    `🔁 Subscription ${entity.id} ${entity.status} for ${local.email}`
+  );
+  return { status: "processed", email: local.email };
+}
+
+async function handleSubscriptionCharged(body) {
+  const entity = body.payload.subscription?.entity;
+  const payment = body.payload.payment?.entity;
+  if (!entity?.id || !payment) {
+    return { status: "ignored", reason: "missing_subscription_or_payment" };
+  }
+
+  const local = await syncRazorpaySubscription(entity);
+  if (!local) {
+    console.warn(`⚠️ Charge for unknown Razorpay subscription ${entity.id}`);
+    return {
+      status: "flagged",
+      amount: payment.amount,
+      currency: payment.currency,
+      reason: "unknown_subscription",
+    };
+  }
+
+  const outcome = {
+    email: local.email,
+    amount: payment.amount,
+    currency: payment.currency,
+  };
+
+  const catalog = await getPlanCatalog();
+  const plan = resolvePlanById(catalog, local.plan);
+  if (
+    !plan ||
+    payment.amount !== local.amount ||
+    payment.currency !== local.currency
+  ) {
+    console.warn(
+      `🚩 Subscription charge ${payment.amount} ${payment.currency} for ${local.email} does not match ${local.plan}`
+    );
+    return { ...outcome, status: "flagged", reason: "amount_mismatch" };
+  }
+
+  const entitlement = await grantPlanEntitlement({
+    email: local.email,
+    plan,
+    amount: payment.amount,
+    payment: { provider: "razorpay", paymentId: payment.id },
+  });
+  await setAutoRenew(
+    local.email,
+    local.subscriptionId,
+    !local.cancelAtCycleEnd
+  );
+
+  console.log(
+    `🔁 Subscription renewal applied for ${local.email} (${plan.id})`
+  );
+  return { ...outcome, status: "processed", entitlement };
+}
+
+async function handleRefundProcessed(body) {
+  const refund = body.payload.refund?.entity;
+  if (!refund?.payment_id) {
+    return { status: "ignored", reason: "missing_refund" };
+  }
+
+  const outcome = { amount: refund.amount, currency: refund.currency };
+  const result = await revokePaymentEntitlement({
+    provider: "razorpay",
+    paymentId: refund.payment_id,
+    amount: refund.amount,
+    event: body.event,
+    reason: "refund",
+  });
+
+  if (!result) {
+    console.warn(`🚩 Refund for unknown payment ${refund.payment_id}`);
+    return { ...outcome, status: "flagged", reason: "no_matching_payment" };
+  }
+
+  return {
+    ...outcome,
+    status: "processed",
+    email: result.original.email,
+    reason: "refund",
+  };
+}
+
+// Failed attempts normally granted nothing; if a granted payment later
+// reports failure its entitlement is taken back.
+async function handlePaymentFailed(body) {
+  const payment = body.payload.payment?.entity;
+  if (!payment?.id) {
+    return { status: "ignored", reason: "missing_payment" };
+  }
+
+  const result = await revokePaymentEntitlement({
+    provider: "razorpay",
+    paymentId: payment.id,
+    event: body.event,
+    reason: "payment_failed",
+  });
+
+  return {
+    status: "processed",
+    email: result?.original.email || payment.email || null,
+    amount: payment.amount ?? null,
+    currency: payment.currency || null,
+    reason: payment.error_description || "payment_failed",
+  };
+}
+
+// created / lost revoke the whole payment; won gives it back
+async function handleDispute(body) {
+  const dispute = body.payload.dispute?.entity;
+  const paymentId = dispute?.payment_id || body.payload.payment?.entity?.id;
+  if (!paymentId) {
+    return { status: "ignored", reason: "missing_dispute" };
+  }
+
+  const won = body.event === "payment.dispute.won";
+  const outcome = {
+    amount: dispute?.amount ?? null,
+    currency: dispute?.currency || null,
+  };
+
+  const result = won
+    ? await reinstatePaymentEntitlement({
+        provider: "razorpay",
+        paymentId,
+        reasons: ["dispute"],
+      })
+    : await revokePaymentEntitlement({
+        provider: "razorpay",
+        paymentId,
+        event: body.event,
+        reason: "dispute",
+      });
+
+  if (!result) {
+    console.warn(`🚩 Dispute for unknown payment ${paymentId}`);
+    return { ...outcome, status: "flagged", reason: "no_matching_payment" };
+  }
+
+  return {
+    ...outcome,
+    status: "processed",
+    email: result.original.email,
+    reason: won ? "dispute_won" : "dispute",
+  };
+}
+
+const RAZORPAY_WEBHOOK_HANDLERS = {
+  "payment_link.paid": handlePaymentLinkPaid,
+  "subscription.activated": handleSubscriptionStatus,
+  "subscription.charged": handleSubscriptionCharged,
+  "subscription.halted": handleSubscriptionStatus,
+  "subscription.cancelled": handleSubscriptionStatus,
+  "refund.processed": handleRefundProcessed,
+  "payment.failed": handlePaymentFailed,
+  "payment.dispute.created": handleDispute,
+  "payment.dispute.lost": handleDispute,
+  "payment.dispute.won": handleDispute,
+};
+
+// ------------------------------------------------------
+// WEBHOOK HANDLER for Razorpay (raw body)
+// Every verified event is written to the Payment ledger first; a replayed
+// delivery is acknowledged without touching PaidUser / EmergencyUnlock.
+// ------------------------------------------------------
+app.post(
+  "/api/razorpay/webhook",
+  express.raw({ type: "application/json" }),
+  async (req, res) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    const receivedSignature = req.headers["x-razorpay-signature"];
+
+    // Signature validation (req.body is Buffer because of express.raw)
+    const expectedSignature = crypto
+      .createHmac("sha256", secret)
+      .update(req.body)
+      .digest("hex");
+
+    if (receivedSignature !== expectedSignature) {
+      console.log("❌ Signature mismatch");
+      return res.status(400).json({ error: "Invalid signature" });
+    }
+
+    console.log("✔️ Signature Verified.");
+
+    let body = {};
+    try {
+      body = JSON.parse(req.body.toString());
+    } catch (e) {
+      console.error("❌ Failed to parse webhook JSON:", e);
+      return res.status(400).json({ error: "Invalid JSON" });
+    }
+
+    console.log("📩 Event:", body.event);
+
+    const eventId = req.headers["x-razorpay-event-id"] || null;
+    // Refund events are keyed by refund id: one payment can be refunded
+    // in several parts, each with its own refund.processed.
+    const paymentId =
+      body.payload?.refund?.entity?.id ||
+      body.payload?.payment?.entity?.id ||
+      null;
+
+    let claim;
+    try {
+      claim = await claimPaymentEvent({
+        provider: "razorpay",
+        eventId,
+        event: body.event,
+        paymentId,
+        payload: body,
+      });
+    } catch (dbError) {
+      console.error("❌ Payment ledger error:", dbError);
+      return res.status(500).json({ error: "DB Error" });
+    }
+
+    if (claim.replay) {
+      console.log(
+        `↩️ Duplicate webhook ignored: ${body.event} (event ${eventId}, payment ${paymentId})`
+      );
+      return res.json({ status: "ok", duplicate: true });
+    }
+
+    if (claim.inFlight) {
+      // Non-2xx so Razorpay retries once the first delivery has finished
+      return res.status(409).json({ error: "Event is being processed" });
+    }
+
+    const ledgerEntry = claim.entry;
+    const handler = RAZORPAY_WEBHOOK_HANDLERS[body.event];
+
+    try {
+      if (!handler) {
+        await settlePaymentEvent(ledgerEntry, "ignored", {
+          reason: "unhandled_event",
+        });
+        return res.json({ status: "ok" });
+      }
+
+      const { status, ...fields } = await handler(body);
+      await settlePaymentEvent(ledgerEntry, status, fields);
+    } catch (dbError) {
+      console.error("❌ DB Save Error:", dbError);
+      await settlePaymentEvent(ledgerEntry, "failed", {
+        reason: dbError.message,
+      }).catch((e) => console.error("❌ Payment ledger error:", e));
+      return res.status(500).json({ error: "DB Error" });
+    }
+
+    return res.json({ status: "ok" });
+  }
+);
+
+// ------------------------------------------------------
+// STATUS CHECK: READS FROM DATABASE (augmented to use JWT, non-breaking)
+// ------------------------------------------------------
+app.get(
+  "/api/check-payment-status",
+  verifyJwt,
+  resolveIdentity("query"),
+  async (req, res) => {
+    const email = req.userEmail;
+
+    if (!email) return res.json({ status: "missing_email" });
+
+    try {
+      const user = await PaidUser.findOne({ email });
+      const own = user && subscriptionStatus(user);
+      if (own?.status === "paid") {
+        return res.json(own);
+      }
+
+      // Members of a family group ride on the owner's subscription
+      const family = await familySubscriptionFor(email);
+      if (
+        family &&
+        (!own || STATUS_RANK[family.status] > STATUS_RANK[own.status])
+      ) {
+        return res.json(family);
+      }
+
+      if (!own) {
+        return res.json({ status: "pending" });
+      }
+
+      // "grace" = expired but still unlocked; the extension prompts to renew
+      return res.json(own);
+    } catch (err) {
+      console.error("check-payment-status error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Health
+app.get("/health", (req, res) => {
+  res.status(200).send("OK");
+});
+
+// ------------------------------------------------------
+// Check emergency payment status
+// ------------------------------------------------------
+// app.get("/api/check-emergency-status", async (req, res) => {
+//   const email = req.query.email?.toLowerCase().trim();
+
+//   if (!email) return res.json({ status: "missing_email" });
+
+//   const record = await EmergencyUnlock.findOne({ email });
+
+//   if (!record) {
+//     return res.json({ status: "pending" });
+//   }
+
+//   return res.json({ status: "paid", amount: record.amount });
+// });
+
+app.get("/api/country", (req, res) => {
+  const { country, source } = countryForRequest(req);
+
+  return res.json({
+    country_code: country || "You",
+    source,
+  });
+});
+
+// ------------------------------------------------------
+// Consume one paid emergency credit
+// ------------------------------------------------------
+app.get(
+  "/api/check-emergency-status",
+  verifyJwt,
+  resolveIdentity("query"),
+  async (req, res) => {
+    const email = req.userEmail;
+
+    if (!email) {
+      return res.status(400).json({ error: "Missing email" });
+    }
+
+    try {
+      // Oldest credit first; atomic so one credit unlocks only once
+      const record = await EmergencyUnlock.findOneAndUpdate(
+        { email, status: "paid" },
+        { $set: { status: "consumed", used: true, consumedAt: new Date() } },
+        { sort: { paidAt: 1 }, new: true }
+      );
+
+      if (!record) {
+        return res.json({ status: "not_found" });
+      }
+
+      console.log(`🔓 Emergency Unlock consumed for ${email}`);
+
+      return res.json({ status: "paid" });
+    } catch (err) {
+      console.error("❌ Emergency status check error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.post("/api/feedback", feedbackLimiter, express.json(), async (req, res) => {
+  const { rating, type, name, email, message } = req.body;
+
+  // Enhanced validation
+  if (!rating || !type || !name?.trim() || !email?.trim() || !message?.trim()) {
+    return res.status(400).json({ error: "Missing or empty required fields" });
+  }
+
+  if (rating < 1 || rating > 5) {
+    return res.status(400).json({ error: "Rating must be 1-5 stars" });
+  }
+
+  // -------------------------
+  // ⭐ ENHANCED IP + Location
+  // -------------------------
+  const ip =
+    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
+    req.socket.remoteAddress ||
+    "Unknown";
+  const location = geoip.lookup(ip) || {};
+  const country = location.country || "Unknown";
+  const city = location.city || "Unknown";
+  const region = location.region || "Unknown";
+
+  // -------------------------
+  // ⭐ ADVANCED Device Detection
+  // -------------------------
+  const userAgent = req.headers["user-agent"] || "Unknown Device";
+
+  const parseDevice = (ua) => {
+    let browser = "Unknown",
+      os = "Unknown",
+      device = "Desktop";
+
+    // Browser detection (more precise)
+    if (/chrome|crios/i.test(ua)) browser = "Chrome";
+    else if (/firefox/i.test(ua)) browser = "Firefox";
+    else if (/safari/i.test(ua) && !/chrome/i.test(ua)) browser = "Safari";
+    else if (/edg/i.test(ua)) browser = "Edge";
+    else if (/opera|opr/i.test(ua)) browser = "Opera";
+
+    // OS + Device detection
+    if (/windows/i.test(ua)) os = "Windows";
+    else if (/macintosh|mac os x/i.test(ua)) os = "macOS";
+    else if (/linux/i.test(ua)) os = "Linux";
+    else if (/android/i.test(ua)) {
+      os = "Android";
+      device = "Mobile";
+    } else if (/iphone|ipad|ipod/i.test(ua)) {
+      os = "iOS";
+      device = "Mobile";
+    }
+
+    // Extension detection
+    const isExtension = ua.includes("Chrome/") && ua.includes("Extension");
+
+    return { browser, os, device, isExtension };
+  };
+
+  const deviceInfo = parseDevice(userAgent);
+
+  const feedback = feedbackEmail({
+    rating,
+    type,
+    name,
+    email,
+    message,
+    ip,
+    location: { city, region, country },
+    device: deviceInfo,
+    userAgent,
+  });
+
+  // -------------------------
+  // ⭐ Save first, so a mail outage can't lose it
+  // -------------------------
+  let record;
+  try {
+    record = await Feedback.create({
+      rating,
+      type,
+      name: name.trim(),
+      email: email.toLowerCase().trim(),
+      message: message.trim(),
+      ip,
+      geo: {
+        country: location.country || null,
+        region: location.region || null,
+        city: location.city || null,
+      },
+      device: deviceInfo,
+      userAgent,
+    });
+  } catch (err) {
+    console.error("❌ Feedback save error:", err);
+    return res.status(500).json({ error: "Failed to save feedback" });
+  }
+
+  // -------------------------
+  // ⭐ Send Enhanced Email
+  // -------------------------
+  try {
+    const sent = await mailer.send({
+      category: "internal",
+      to: process.env.FEEDBACK_EMAIL,
+      ...feedback,
+    });
+
+    await Feedback.updateOne(
+      { _id: record._id },
+      { $set: { emailStatus: "sent" } }
+    );
+    console.log(`📬 Feedback sent via ${sent.transport}!`, sent.id);
+  } catch (err) {
+    console.error("❌ Feedback Email Error:", err);
+    await Feedback.updateOne(
+      { _id: record._id },
+      { $set: { emailStatus: "failed", emailError: err.message } }
+    ).catch((e) => console.error("❌ Feedback save error:", e));
+  }
+
+  // Stored either way; the admin API shows anything the email missed
+  return res.json({
+    success: true,
+    message: "Thank you for your feedback! 🎉",
+  });
+});
+
+/**
+ * Record a completed PayPal capture in the Payment ledger and grant the
+ * catalog plan the order was created for (PaypalOrder.plan, else the plan
+ * id carried in custom_id), after checking the captured amount matches it.
+ * Only legacy orders that carry neither fall back to matching by amount; a
+ * plan id that is no longer in the catalog is flagged as unknown_plan.
+ * Returns { status, entitlement } with status "paid", "flagged" or
+ * "pending" (another request is applying it).
+ * The plan goes to the email the order was created for; `payerEmail` is only
+ * used for captures we hold no PaypalOrder for.
+ */
+async function applyPaypalCapture(orderID, captureResult, payerEmail) {
+  const order = await PaypalOrder.findOne({ orderID });
+  // Grant and ledger row must name the same account, or a later refund
+  // would revoke someone else's premium
+  const email = order?.email || payerEmail;
+  const unit = captureResult.purchase_units?.[0];
+  const captured = unit?.payments?.captures?.[0];
+  const money = captured?.amount || unit?.amount || {};
+  const amount = Math.round(parseFloat(money.value) * 100);
+  const currency = money.currency_code || "USD";
+
+  // captureId lets PAYMENT.CAPTURE.REFUNDED find its way back to the order
+  await PaypalOrder.updateOne(
+    { orderID },
+    { $set: { captured: true, captureId: captured?.id || null } }
+  );
+
+  const claim = await claimPaymentEvent({
+    provider: "paypal",
+    eventId: null,
+    event: "order.captured",
+    paymentId: orderID,
+    payload: captureResult,
+  });
+
+  if (claim.inFlight) return { status: "pending" };
+  if (claim.replay) {
+    return {
+      status: claim.entry.status === "processed" ? "paid" : claim.entry.status,
+      entitlement: claim.entry.entitlement,
+    };
+  }
+
+  try {
+    const catalog = await getPlanCatalog();
+    const planId =
+      order?.plan || captured?.custom_id || unit?.custom_id || null;
+
+    const discount = order?.discount || 0;
+
+    let plan;
+    let problem = null;
+    if (planId) {
+      plan = resolvePlanById(catalog, planId);
+      if (!plan) problem = "unknown_plan";
+      else if (!paymentMatchesPlan(plan, amount, currency, discount)) {
+        problem = "amount_mismatch";
+      }
+    } else {
+      plan = resolvePlanByAmount(catalog, amount, currency);
+      if (!plan) problem = "unknown_amount";
+    }
+
+    if (problem) {
+      console.warn(
+        `🚩 PayPal ${problem}: ${amount} ${currency} for ${email} flagged for review`
+      );
+      await settlePaymentEvent(claim.entry, "flagged", {
+        email,
+        amount,
+        currency,
+        reason: problem,
+      });
+      return { status: "flagged" };
+    }
+
+    const entitlement = await grantPlanEntitlement({
+      email,
+      plan,
+      amount,
+      payment: { provider: "paypal", paymentId: orderID },
+    });
+
+    await recordCouponRedemption({
+      code: order?.coupon,
+      email,
+      plan: plan.id,
+      discount,
+      currency,
+      provider: "paypal",
+      paymentId: orderID,
+      orderRef: orderID,
+    });
+
+    await settlePaymentEvent(claim.entry, "processed", {
+      email,
+      amount,
+      currency,
+      entitlement,
+    });
+
+    console.log(`✅ PayPal ${plan.id} purchase applied for ${email}`);
+    return { status: "paid", entitlement };
+  } catch (err) {
+    await settlePaymentEvent(claim.entry, "failed", {
+      reason: err.message,
+    }).catch((e) => console.error("❌ Payment ledger error:", e));
+    throw err;
+  }
+}
+
+// POST /api/create-paypal-order  { email, plan, coupon?, country? }
+// Priced from the plan catalog in the region's PayPal currency (USD when
+// the region has none); any client amount is ignored.
+app.post(
+  "/api/create-paypal-order",
+  express.json(),
+  verifyJwt,
+  requireVerifiedPurchaser,
+  async (req, res) => {
+    const { email, plan: planId = "monthly", coupon } = req.body;
+    if (!email) return res.status(400).json({ error: "Missing email" });
+
+    try {
+      const catalog = await getPlanCatalog();
+      const plan = resolvePlanById(catalog, planId);
+      if (!plan) {
+        return res.status(400).json({ error: "Unknown plan" });
+      }
+
+      // Region's currency when it checks out through PayPal, else USD
+      const region = await regionForRequest(req);
+      const currency = checkoutCurrency(plan, region, "paypal", "USD");
+
+      const priced = await priceWithCoupon({
+        plan,
+        currency,
+        code: coupon,
+        email: email.toLowerCase().trim(),
+      });
+      if (priced.error) {
+        return res.status(400).json({ error: priced.error });
+      }
+      const amount = priced.amount;
+
+      // Held as long as the uncaptured order is kept (paypal_order_cleanup)
+      let reservation = null;
+      if (priced.coupon) {
+        const held = await reserveCoupon({
+          coupon: priced.coupon,
+          email: email.toLowerCase().trim(),
+          plan,
+          discount: priced.discount,
+          currency,
+          provider: "paypal",
+          expiresAt: new Date(
+            Date.now() + PAYPAL_ORDER_TTL_HOURS * 60 * 60 * 1000
+          ),
+        });
+        if (held.error) {
+          return res.status(400).json({ error: held.error });
+        }
+        reservation = held.reservation;
+      }
+
+      const client = createPaypalClient();
+
+      const request = new paypal.orders.OrdersCreateRequest();
+      request.requestBody({
+        intent: "CAPTURE",
+        purchase_units: [
+          {
+            amount: {
+              currency_code: currency,
+              value: (amount / 100).toFixed(2),
+            },
+            // Plan id travels with the order so captures resolve the right
+            // entitlement even without the PaypalOrder record
+            custom_id: plan.id,
+            description: `BlockSocialMedia (${plan.id})`,
+          },
+        ],
+        application_context: {
+          shipping_preference: "NO_SHIPPING",
+        },
+      });
+
+      let order;
+      try {
+        order = await client.execute(request);
+      } catch (err) {
+        if (reservation) {
+          await releaseCouponReservation(
+            { _id: reservation._id },
+            "order_failed"
+          );
+        }
+        throw err;
+      }
+      await attachCouponReservation(reservation, order.result.id);
+
+      await PaypalOrder.create({
+        orderID: order.result.id,
+        email,
+        plan: plan.id,
+        amount,
+        currency,
+        coupon: priced.coupon?.code || null,
+        discount: priced.discount,
+        captured: false,
+      });
+
+      const approveLink = order.result.links.find(
+        (l) => l.rel === "approve"
+      )?.href;
+
+      return res.json({ orderID: order.result.id, approveLink });
+    } catch (err) {
+      console.error("PayPal Create Order Error:", err);
+      return res.status(500).json({ error: "PayPal order creation failed" });
+    }
+  }
+);
+
+app.get(
+  "/api/check-paypal-status",
+  verifyJwt,
+  resolveIdentity("query"),
+  async (req, res) => {
+    const email = req.userEmail;
+    if (!email) return res.status(400).json({ error: "Missing email" });
+
+    try {
+      const pending = await PaypalOrder.findOne({
+        email,
+        captured: false,
+      }).sort({
+        createdAt: -1,
+      });
+      if (!pending) return res.json({ status: "pending" });
+
+      const client = createPaypalClient();
+
+      const getReq = new paypal.orders.OrdersGetRequest(pending.orderID);
+      const orderResp = await client.execute(getReq);
+
+      const status = orderResp.result.status;
+      console.log("PayPal order status:", pending.orderID, status);
+
+      if (status === "APPROVED") {
+        try {
+          const capReq = new paypal.orders.OrdersCaptureRequest(
+            pending.orderID
+          );
+          capReq.requestBody({});
+          const capResp = await client.execute(capReq);
+
+          pending.captured = true;
+          await pending.save();
+
+          const applied = await applyPaypalCapture(
+            pending.orderID,
+            capResp.result,
+            pending.email
+          );
+
+          return res.json({ status: applied.status });
+        } catch (err) {
+          console.error("PayPal capture failed:", err);
+          return res.json({ status: "pending" });
+        }
+      }
+
+      if (status === "COMPLETED") {
+        // Captured elsewhere (capture route or webhook); applying it again
+        // is a no-op thanks to the ledger.
+        const applied = await applyPaypalCapture(
+          pending.orderID,
+          orderResp.result,
+          pending.email
+        );
+        return res.json({ status: applied.status });
+      }
+
+      return res.json({ status: "pending", paypalStatus: status });
+    } catch (err) {
+      console.error("check-paypal-status error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.post("/api/capture-paypal-order", express.json(), async (req, res) => {
+  try {
+    const { orderID } = req.body;
+    if (!orderID) {
+      return res.status(400).json({ error: "Missing orderID" });
+    }
+
+    const client = createPaypalClient(); // ← we already created this earlier
+
+    // Capture request for PayPal
+    const request = new paypal.orders.OrdersCaptureRequest(orderID);
+    request.requestBody({});
+
+    const capture = await client.execute(request);
+
+    console.log("PayPal Capture Response:", capture.result);
+
+    // Extract buyer email
+    const payerEmail =
+      capture.result.payer?.email_address ||
+      capture.result.purchase_units?.[0]?.payee?.email_address ||
+      null;
+
+    if (!payerEmail) {
+      console.error("❌ No email found in PayPal capture!");
+      return res.status(500).json({ error: "No email found in transaction" });
+    }
+
+    // Grant the catalog plan — same logic as Razorpay
+    const applied = await applyPaypalCapture(
+      orderID,
+      capture.result,
+      payerEmail.toLowerCase().trim()
+    );
+
+    if (applied.status === "flagged") {
+      return res.status(202).json({ success: false, status: "flagged" });
+    }
+
+    return res.json({ success: true, status: applied.status });
+  } catch (err) {
+    console.error("PayPal Capture Error:", err);
+    return res.status(500).json({ error: "PayPal capture failed" });
+  }
+});
+
+// ------------------------------------------------------
+// PayPal webhook (raw body)
+// Confirms orders even when the user closes the tab after approving.
+// Transmission headers are verified with PayPal against PAYPAL_WEBHOOK_ID,
+// and each event is claimed in the Payment ledger like Razorpay's.
+// ------------------------------------------------------
+const PAYPAL_SIGNATURE_HEADERS = [
+  "paypal-auth-algo",
+  "paypal-cert-url",
+  "paypal-transmission-id",
+  "paypal-transmission-sig",
+  "paypal-transmission-time",
+];
+
+// PayPal signs the exact bytes it sent, so `rawBody` is spliced into the
+// request as-is; re-serializing the parsed event can change key order or
+// number formatting and fail valid deliveries. The SDK always JSON-encodes
+// request bodies, hence the direct call with an SDK-issued access token.
+async function verifyPaypalWebhook(headers, rawBody) {
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) {
+    console.error("❌ PAYPAL_WEBHOOK_ID is not configured");
+    return false;
+  }
+  if (PAYPAL_SIGNATURE_HEADERS.some((h) => !headers[h])) return false;
+
+  const client = createPaypalClient();
+  const token = await client.fetchAccessToken();
+
+  const envelope = JSON.stringify({
+    auth_algo: headers["paypal-auth-algo"],
+    cert_url: headers["paypal-cert-url"],
+    transmission_id: headers["paypal-transmission-id"],
+    transmission_sig: headers["paypal-transmission-sig"],
+    transmission_time: headers["paypal-transmission-time"],
+    webhook_id: webhookId,
+  });
+  const body = `${envelope.slice(0, -1)},"webhook_event":${rawBody}}`;
+
+  const { data } = await axios.post(
+    `${client.environment.baseUrl}/v1/notifications/verify-webhook-signature`,
+    body,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: token.authorizationString(),
+      },
+      timeout: 15000,
+    }
+  );
+
+  return data?.verification_status === "SUCCESS";
+}
+
+// Approved but not captured yet: capture it, as check-paypal-status does
+async function handlePaypalOrderApproved(event) {
+  const orderID = event.resource?.id;
+  const pending = orderID && (await PaypalOrder.findOne({ orderID }));
+  if (!pending) return { status: "ignored", reason: "unknown_order" };
+  if (pending.captured)
+    return { status: "ignored", reason: "already_captured" };
+
+  const client = createPaypalClient();
+  const capReq = new paypal.orders.OrdersCaptureRequest(orderID);
+  capReq.requestBody({});
+  const capResp = await client.execute(capReq);
+
+  // The order's email, not the payer's: the ledger row below records it
+  const applied = await applyPaypalCapture(
+    orderID,
+    capResp.result,
+    pending.email
+  );
+
+  return { status: "processed", email: pending.email, reason: applied.status };
+}
+
+async function handlePaypalCaptureCompleted(event) {
+  const orderID = event.resource?.supplementary_data?.related_ids?.order_id;
+  const pending = orderID && (await PaypalOrder.findOne({ orderID }));
+  if (!pending) return { status: "ignored", reason: "unknown_order" };
+
+  // Read the whole order so the capture is applied from the same shape
+  // the polling and capture routes use.
+  const client = createPaypalClient();
+  const orderResp = await client.execute(
+    new paypal.orders.OrdersGetRequest(orderID)
+  );
+
+  const applied = await applyPaypalCapture(
+    orderID,
+    orderResp.result,
+    pending.email
+  );
+
+  return { status: "processed", email: pending.email, reason: applied.status };
+}
+
+// Refunds (and reversals, i.e. chargebacks) point back to the capture
+async function handlePaypalCaptureRefunded(event) {
+  const resource = event.resource || {};
+  const upLink = resource.links?.find((l) => l.rel === "up")?.href;
+  const captureId =
+    event.event_type === "PAYMENT.CAPTURE.REVERSED"
+      ? resource.id
+      : upLink?.split("/").pop();
+
+  const order = captureId && (await PaypalOrder.findOne({ captureId }));
+  const outcome = {
+    amount: resource.amount?.value
+      ? Math.round(parseFloat(resource.amount.value) * 100)
+      : null,
+    currency: resource.amount?.currency_code || null,
+  };
+  if (!order) {
+    console.warn(`🚩 PayPal refund for unknown capture ${captureId}`);
+    return { ...outcome, status: "flagged", reason: "no_matching_payment" };
+  }
+
+  const reversed = event.event_type === "PAYMENT.CAPTURE.REVERSED";
+  const result = await revokePaymentEntitlement({
+    provider: "paypal",
+    paymentId: order.orderID,
+    amount: reversed ? null : outcome.amount,
+    event: event.event_type,
+    reason: reversed ? "dispute" : "refund",
+  });
+
+  if (!result) {
+    return { ...outcome, status: "flagged", reason: "no_matching_payment" };
+  }
+
+  return {
+    ...outcome,
+    status: "processed",
+    email: result.original.email,
+    reason: reversed ? "dispute" : "refund",
+  };
+}
+
+const PAYPAL_WEBHOOK_HANDLERS = {
+  "CHECKOUT.ORDER.APPROVED": handlePaypalOrderApproved,
+  "PAYMENT.CAPTURE.COMPLETED": handlePaypalCaptureCompleted,
+  "PAYMENT.CAPTURE.REFUNDED": handlePaypalCaptureRefunded,
+  "PAYMENT.CAPTURE.REVERSED": handlePaypalCaptureRefunded,
+};
+
+app.post(
+  "/api/paypal/webhook",
+  express.raw({ type: "application/json" }),
+  async (req, res) => {
+    const rawBody = req.body.toString("utf8");
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (e) {
+      console.error("❌ Failed to parse PayPal webhook JSON:", e);
+      return res.status(400).json({ error: "Invalid JSON" });
+    }
+
+    try {
+      if (!(await verifyPaypalWebhook(req.headers, rawBody))) {
+        console.log("❌ PayPal webhook signature mismatch");
+        return res.status(400).json({ error: "Invalid signature" });
+      }
+    } catch (err) {
+      console.error("❌ PayPal webhook verification error:", err);
+      return res.status(500).json({ error: "Verification failed" });
+    }
+
+    console.log("📩 PayPal Event:", event.event_type);
+
+    let claim;
+    try {
+      claim = await claimPaymentEvent({
+        provider: "paypal",
+        eventId: event.id || null,
+        event: event.event_type,
+        paymentId: null,
+        payload: event,
+      });
+    } catch (dbError) {
+      console.error("❌ Payment ledger error:", dbError);
+      return res.status(500).json({ error: "DB Error" });
+    }
+
+    if (claim.replay) {
+      return res.json({ status: "ok", duplicate: true });
+    }
+    if (claim.inFlight) {
+      return res.status(409).json({ error: "Event is being processed" });
+    }
+
+    const handler = PAYPAL_WEBHOOK_HANDLERS[event.event_type];
+
+    try {
+      if (!handler) {
+        await settlePaymentEvent(claim.entry, "ignored", {
+          reason: "unhandled_event",
+        });
+        return res.json({ status: "ok" });
+      }
+
+      const { status, ...fields } = await handler(event);
+      await settlePaymentEvent(claim.entry, status, fields);
+    } catch (err) {
+      console.error("❌ PayPal webhook processing error:", err);
+      await settlePaymentEvent(claim.entry, "failed", {
+        reason: err.message,
+      }).catch((e) => console.error("❌ Payment ledger error:", e));
+      return res.status(500).json({ error: "Processing failed" });
+    }
+
+    return res.json({ status: "ok" });
+  }
+);
+
+// ------------------------------------------------------
+// 🚨 Error telemetry
+// ------------------------------------------------------
+// Clients batch their errors into /api/report-error-daily. Each error is
+// folded into an ErrorGroup by fingerprint; one digest email per day lists
+// the groups that are new or came back after being resolved.
+const ERROR_DIGEST_HOUR_UTC = (() => {
+  const hour = numberFromEnv("ERROR_DIGEST_HOUR_UTC", 8);
+  // dailyAt() needs a whole hour of the day
+  if (Number.isInteger(hour) && hour <= 23) return hour;
+  console.warn(
+    `⚠️ ERROR_DIGEST_HOUR_UTC=${hour} is not an hour (0-23), using 8`
+  );
+  return 8;
+})();
+const MAX_ERRORS_PER_REPORT = 100;
+
+const errorReportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  message: { error: "Too many error reports. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function clip(value, max) {
+  return value == null ? null : String(value).slice(0, max);
+}
+
+// First "at ..." line, minus the per-install extension id
+function topStackFrame(stack) {
+  const frame = String(stack || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line.startsWith("at "));
+  return frame?.replace(/chrome-extension:\/\/[a-z]+\//g, "") || null;
+}
+
+// Numbers and ids vary per occurrence; don't let them split groups
+function normalizeErrorMessage(message) {
+  return String(message || "")
+    .replace(/[0-9a-f]{8,}/gi, "<id>")
+    .replace(/\d+/g, "<n>")
+    .slice(0, 300);
+}
+
+function errorFingerprint({ context, message, stack }) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      [
+        String(context || ""),
+        normalizeErrorMessage(message),
+        topStackFrame(stack) || "",
+      ].join("|")
+    )
+    .digest("hex");
+}
+
+async function recordErrorOccurrences({
+  fingerprint,
+  sample,
+  count,
+  reporter,
+  version,
+  at,
+}) {
+  const previous = await ErrorGroup.findOneAndUpdate(
+    { fingerprint },
+    {
+      $inc: { count },
+      $max: { lastSeen: at },
+      ...(version && {
+        $set: { lastVersion: version },
+        $addToSet: { versions: version },
+      }),
+      $push: { samples: { $each: [sample], $slice: -5 } },
+      $setOnInsert: {
+        context: sample.context,
+        message: sample.message,
+        topFrame: topStackFrame(sample.stack),
+        firstSeen: at,
+      },
+    },
+    { upsert: true, new: false }
+  );
+
+  // A resolved group that shows up again is a regression
+  if (previous?.status === "resolved") {
+    await ErrorGroup.updateOne(
+      { fingerprint, status: "resolved" },
+      { $set: { status: "open", regressedAt: new Date() } }
+    );
+    console.warn(`🔁 Error group regressed: ${fingerprint}`);
+  }
+
+  const seen = await ErrorReporter.updateOne(
+    { fingerprint, reporter },
+    {
+      $inc: { count },
+      $set: { lastSeen: at, ...(version && { version }) },
+      $setOnInsert: { firstSeen: at },
+    },
+    { upsert: true }
+  );
+  if (seen.upsertedCount) {
+    await ErrorGroup.updateOne({ fingerprint }, { $inc: { userCount: 1 } });
+  }
+}
+
+app.post(
+  "/api/report-error-daily",
+  errorReportLimiter,
+  express.json(),
+  async (req, res) => {
+    const { errors, deviceId } = req.body;
+
+    if (!errors || !Array.isArray(errors) || errors.length === 0) {
+      return res.json({ success: true });
+    }
+
+    const ip =
+      req.headers["x-forwarded-for"]?.split(",")[0] ||
+      req.socket.remoteAddress ||
+      "Unknown";
+    const defaultVersion =
+      req.body.version || req.get("x-extension-version") || null;
+
+    // Collapse the batch per group so each group is written once
+    const batch = new Map();
+    for (const err of errors.slice(0, MAX_ERRORS_PER_REPORT)) {
+      if (!err || typeof err !== "object") continue;
+
+      const sample = {
+        context: clip(err.context, 200),
+        message: clip(err.message, 500),
+        stack: clip(err.stack, 4000),
+        timestamp: err.timestamp ? new Date(err.timestamp) : new Date(),
+      };
+      if (isNaN(sample.timestamp)) sample.timestamp = new Date();
+
+      const reporter =
+        err.userEmail?.toLowerCase().trim() || clip(deviceId, 100) || ip;
+      const version = clip(err.version || defaultVersion, 50);
+      const fingerprint = errorFingerprint(sample);
+      const key = `${fingerprint}|${reporter}`;
+
+      const entry = batch.get(key);
+      if (entry) {
+        entry.count++;
+        if (sample.timestamp > entry.at) entry.at = sample.timestamp;
+      } else {
+        batch.set(key, {
+          fingerprint,
+          sample: { ...sample, version, reporter },
+          count: 1,
+          reporter,
+          version,
+          at: sample.timestamp,
+        });
+      }
+    }
+
+    try {
+      for (const entry of batch.values()) {
+        await recordErrorOccurrences(entry);
+      }
+
+      console.log(`🚨 Stored ${errors.length} errors in ${batch.size} groups`);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Error report save failed:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Digest of error groups that are new or regressed since `since`. Runs
+// once a day as the "error_digest" job (see Scheduled jobs below).
+async function sendErrorDigest(since) {
+  const [newGroups, regressedGroups, totals] = await Promise.all([
+    ErrorGroup.find({ firstSeen: { $gte: since }, status: "open" })
+      .sort({ count: -1 })
+      .limit(25)
+      .lean(),
+    ErrorGroup.find({ regressedAt: { $gte: since }, status: "open" })
+      .sort({ count: -1 })
+      .limit(25)
+      .lean(),
+    ErrorGroup.aggregate([
+      { $match: { lastSeen: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          groups: { $sum: 1 },
+          events: { $sum: "$count" },
+        },
+      },
+    ]),
+  ]);
+
+  if (!newGroups.length && !regressedGroups.length) {
+    console.log("📊 Error digest: nothing new or regressed");
+    return { sent: false };
+  }
+
+  await mailer.send({
+    category: "internal",
+    fromName: "BlockSocialMedia Daily",
+    to: process.env.FEEDBACK_EMAIL,
+    ...errorDigestEmail({
+      since,
+      newGroups,
+      regressedGroups,
+      totals: totals[0] || { groups: 0, events: 0 },
+    }),
+  });
+
+  console.log(
+    `📧 Error digest sent: ${newGroups.length} new, ${regressedGroups.length} regressed`
+  );
+  return {
+    sent: true,
+    new: newGroups.length,
+    regressed: regressedGroups.length,
+  };
+}
+
+// ------------------------------------------------------
+// ⏱️ Scheduled jobs (see scheduler.js)
+// ------------------------------------------------------
+const EXPIRY_REMINDER_DAYS = numberFromEnv("EXPIRY_REMINDER_DAYS", 3);
+const PAYPAL_ORDER_TTL_HOURS = numberFromEnv("PAYPAL_ORDER_TTL_HOURS", 72);
+
+const scheduler = createScheduler({ JobState });
+
+// Email everyone whose premium ends within EXPIRY_REMINDER_DAYS, once per
+// term: expiryReminderFor remembers which expiresAt was announced, so a
+// renewal (new expiresAt) makes the next term eligible again.
+async function sendExpiryReminders(now = new Date()) {
+  const horizon = new Date(
+    now.getTime() + EXPIRY_REMINDER_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const users = await PaidUser.find({
+    expiresAt: { $gt: now, $lte: horizon },
+    autoRenew: { $ne: true }, // those get charged, not reminded
+    $expr: { $ne: ["$expiryReminderFor", "$expiresAt"] },
+  }).lean();
+
+  let sent = 0;
+  for (const user of users) {
+    const claimed = await PaidUser.updateOne(
+      {
+        _id: user._id,
+        expiresAt: user.expiresAt,
+        expiryReminderFor: { $ne: user.expiresAt },
+      },
+      { $set: { expiryReminderFor: user.expiresAt } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      await mailer.send({
+        to: user.email,
+        ...premiumExpiryReminderEmail({ expiresAt: user.expiresAt, now }),
+      });
+      sent++;
+    } catch (err) {
+      console.error(`❌ Expiry reminder to ${user.email} failed:`, err);
+      await PaidUser.updateOne(
+        { _id: user._id },
+        { $set: { expiryReminderFor: user.expiryReminderFor ?? null } }
+      );
+    }
+  }
+
+  return { due: users.length, sent };
+}
+
+// PayPal orders that were created but never captured
+async function cleanupStalePaypalOrders(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - PAYPAL_ORDER_TTL_HOURS * 60 * 60 * 1000
+  );
+  const stale = { captured: false, createdAt: { $lt: cutoff } };
+
+  const withCoupon = await PaypalOrder.find(
+    { ...stale, coupon: { $ne: null } },
+    { orderID: 1 }
+  ).lean();
+  const couponsReleased = withCoupon.length
+    ? await releaseCouponReservation(
+        {
+          provider: "paypal",
+          orderRef: { $in: withCoupon.map((o) => o.orderID) },
+        },
+        "order_expired"
+      )
+    : 0;
+
+  const { deletedCount } = await PaypalOrder.deleteMany(stale);
+  return { deleted: deletedCount, couponsReleased };
+}
+
+scheduler.define("premium_expiry_reminders", {
+  schedule: every(60 * 60 * 1000),
+  run: ({ now }) => sendExpiryReminders(now),
+});
+
+scheduler.define("paypal_order_cleanup", {
+  schedule: every(24 * 60 * 60 * 1000),
+  run: ({ now }) => cleanupStalePaypalOrders(now),
+});
+
+scheduler.define("coupon_reservation_cleanup", {
+  schedule: every(15 * 60 * 1000),
+  run: ({ now }) => releaseExpiredCouponReservations(now),
+});
+
+scheduler.define("error_digest", {
+  schedule: dailyAt(ERROR_DIGEST_HOUR_UTC),
+  run: ({ now, lastSuccessAt }) =>
+    sendErrorDigest(
+      lastSuccessAt || new Date(now.getTime() - 24 * 60 * 60 * 1000)
+    ),
+});
+
+app.get("/api/free-limit-status", async (req, res) => {
+  const deviceId = req.query.deviceId;
+  const siteId = req.query.siteId;
+  if (!deviceId || !siteId) {
+    return res.status(400).json({ error: "Missing deviceId or siteId" });
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  try {
+    const usage = await DailyUsage.findOne({ deviceId, siteId, date: today });
+    const used = usage?.totalMinutes || 0;
+    const remaining = Math.max(0, 30 - used);
+    const canUse = remaining > 0;
+
+    return res.json({ canUse, used, remaining, limit: 30 });
+  } catch (e) {
+    console.error("free-limit-status error", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/free-log-usage", express.json(), async (req, res) => {
+  const { deviceId, siteId, minutes } = req.body;
+
+  if (!deviceId || !siteId || !minutes || minutes <= 0) {
+    return res.status(400).json({ error: "Invalid deviceId/siteId/minutes" });
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  try {
+    const doc = await DailyUsage.findOneAndUpdate(
+      { deviceId, siteId, date: today },
+      {
+        $setOnInsert: { deviceId, siteId, date: today, createdAt: new Date() },
+        $inc: { totalMinutes: minutes },
+        $set: { updatedAt: new Date() },
+      },
+      { new: true, upsert: true }
+    );
+
+    const used = doc.totalMinutes;
+    const remaining = Math.max(0, 30 - used);
+    return res.json({ success: true, used, remaining, limit: 30 });
+  } catch (e) {
+    console.error("free-log-usage error", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------------------------------------------
+// Email + Password SIGNUP
+// ------------------------------------------------------
+app.post("/api/auth/signup", express.json(), async (req, res) => {
+  try {
+    const { name, email, password } = req.body || {};
+
+    if (!name || !name.trim() || !email || !password) {
+      return res
+        .status(400)
+        .json({ error: "Name, email and password are required" });
+    }
+
+    if (password.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters" });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existing = await User.findOne({ email: normalizedEmail });
+    if (existing && !hasPassword(existing)) {
+      return res.status(409).json({
+        error:
+          "This email signs in with Google. Sign in with Google, then add a password from account settings.",
+        code: "link_required",
+        providers: identitiesOf(existing).map((i) => i.provider),
+      });
+    }
+    if (existing) {
+      return res
+        .status(409)
+        .json({ error: "Email already registered. Please log in." });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const user = await User.create({
+      name: name.trim(),
+      email: normalizedEmail,
+      passwordHash,
+      identities: [{ provider: "password", email: normalizedEmail }],
+      emailVerified: false,
+    });
+
+    // The account works right away; purchases wait for the code
+    await sendEmailVerificationCode(user.email).catch((err) =>
+      console.error("❌ Verification email failed:", err)
+    );
+
+    const tokens = await issueSession(req, user);
+
+    return res.json({
+      ...tokens,
+      email: user.email,
+      name: user.name,
+      emailVerified: false,
+    });
+  } catch (err) {
+    console.error("Email signup error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------------------------------------------
+// Email + Password LOGIN
+// ------------------------------------------------------
+app.post("/api/auth/login", express.json(), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const user = await User.findOne({ email: normalizedEmail });
+    if (!user) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    if (!hasPassword(user)) {
+      return res.status(401).json({
+        error: "This account signs in with Google",
+        code: "password_not_set",
+      });
+    }
+
+    const valid = await bcrypt.compare(password, user.passwordHash);
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    await User.updateOne(
+      { _id: user._id, "identities.provider": "password" },
+      { $set: { "identities.$.lastUsedAt": new Date() } }
+    );
+
+    const tokens = await issueSession(req, user);
+
+    return res.json({
+      ...tokens,
+      email: user.email,
+      name: user.name,
+      emailVerified: user.emailVerified !== false,
+    });
+  } catch (err) {
+    console.error("Email login error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------------------------------------------
+// Linked login methods (JWT required)
+// ------------------------------------------------------
+// GET /api/auth/identities
+app.get("/api/auth/identities", verifyJwt, requireUser, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.userEmail }).lean();
+    if (!user) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    return res.json({
+      identities: identitiesOf(user).map((i) => ({
+        provider: i.provider,
+        email: i.email,
+        linkedAt: i.linkedAt || null,
+        lastUsedAt: i.lastUsedAt || null,
+      })),
+    });
+  } catch (err) {
+    console.error("Identity list error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/auth/identities/google  { id_token | access_token }
+app.post(
+  "/api/auth/identities/google",
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    let google;
+    try {
+      google = await verifyGoogleToken(req.body);
+    } catch (err) {
+      return res.status(err.statusCode === 400 ? 400 : 401).json({
+        error: err.statusCode === 400 ? err.message : "Invalid Google token",
+      });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.userEmail });
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      const owner = await User.findOne(
+        {
+          identities: {
+            $elemMatch: { provider: "google", subject: google.sub },
+          },
+        },
+        { email: 1 }
+      );
+      if (owner && !owner._id.equals(user._id)) {
+        return res.status(409).json({
+          error: "This Google account is linked to another user",
+          code: "identity_conflict",
+        });
+      }
+      if (owner) {
+        return res.json({ success: true, alreadyLinked: true });
+      }
+      if (hasIdentity(user, "google")) {
+        return res.status(409).json({
+          error: "Unlink the current Google account first",
+          code: "identity_conflict",
+        });
+      }
+
+      const googleEmail = google.email?.toLowerCase().trim() || null;
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            identities: [
+              ...identitiesOf(user),
+              { provider: "google", subject: google.sub, email: googleEmail },
+            ],
+            // Google vouching for the same address confirms it
+            ...(user.emailVerified === false &&
+              google.emailVerified &&
+              googleEmail === user.email && {
+                emailVerified: true,
+                emailVerifiedAt: new Date(),
+              }),
+          },
+        }
+      );
+
+      console.log(`🔗 Google linked to ${user.email}`);
+      return res.json({ success: true });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          error: "This Google account is linked to another user",
+          code: "identity_conflict",
+        });
+      }
+      console.error("Google link error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/identities/password  { password } — add a password login
+app.post(
+  "/api/auth/identities/password",
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const { password } = req.body || {};
+    if (!password || password.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters" });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.userEmail });
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+      if (hasPassword(user)) {
+        return res.status(409).json({
+          error: "A password is already set. Use password reset to change it.",
+        });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            passwordHash: await bcrypt.hash(password, 10),
+            identities: [
+              ...identitiesOf(user),
+              { provider: "password", email: user.email },
+            ],
+          },
+        }
+      );
+
+      console.log(`🔗 Password login added for ${user.email}`);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Password link error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// DELETE /api/auth/identities/:provider — keep at least one way to sign in
+app.delete(
+  "/api/auth/identities/:provider",
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const { provider } = req.params;
+    if (!["password", "google"].includes(provider)) {
+      return res.status(400).json({ error: "Unknown provider" });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.userEmail });
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      const identities = identitiesOf(user);
+      if (!identities.some((i) => i.provider === provider)) {
+        return res.status(404).json({ error: "Login method not linked" });
+      }
+      if (identities.length < 2) {
+        return res
+          .status(400)
+          .json({ error: "You can't remove your only way to sign in" });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            identities: identities.filter((i) => i.provider !== provider),
+            ...(provider === "password" && { passwordHash: null }),
+          },
+        }
+      );
+
+      console.log(`🔗 ${provider} unlinked from ${user.email}`);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Identity unlink error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Email verification + password reset (purpose-scoped OTPs)
+// ------------------------------------------------------
+const authCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { error: "Too many code requests. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const authCodeVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many attempts. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+async function sendEmailVerificationCode(email) {
+  const { code, validMinutes } = await otps.issue(email, "verify_email");
+  const sent = await mailer.send({
+    to: email,
+    ...emailVerificationEmail({ otp: code, validMinutes }),
+  });
+  console.log(`📧 Verification code sent via ${sent.transport}: ${email}`);
+}
+
+// POST /api/auth/verify-email/send — email a new code to the signed-in user
+app.post(
+  "/api/auth/verify-email/send",
+  authCodeLimiter,
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ email: req.userEmail });
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+      if (user.emailVerified !== false) {
+        return res.json({ success: true, emailVerified: true });
+      }
+
+      await sendEmailVerificationCode(user.email);
+      return res.json({ success: true, message: "Code sent" });
+    } catch (err) {
+      if (err.statusCode === 429) return otpThrottleResponse(res, err);
+      console.error("Verification send error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/verify-email  { code }
+app.post(
+  "/api/auth/verify-email",
+  authCodeVerifyLimiter,
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const code = String(req.body?.code || "").trim();
+    if (!/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: "6-digit code required" });
+    }
+
+    try {
+      const result = await otps.verify(req.userEmail, "verify_email", code);
+      if (!result.ok) return otpFailureResponse(res, result);
+
+      await User.updateOne(
+        { email: req.userEmail },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+
+      console.log(`✅ Email verified: ${req.userEmail}`);
+      return res.json({ success: true, emailVerified: true });
+    } catch (err) {
+      console.error("Email verify error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/password/forgot  { email }
+// Always answers the same way so it can't be used to probe for accounts.
+app.post(
+  "/api/auth/password/forgot",
+  authCodeLimiter,
+  express.json(),
+  async (req, res) => {
+    const email = req.body?.email?.toLowerCase().trim();
+    if (!email) {
+      return res.status(400).json({ error: "Email required" });
+    }
+
+    try {
+      const user = await User.findOne({ email });
+      // Google-only accounts have no password to reset
+      if (user && hasPassword(user)) {
+        const { code, validMinutes } = await otps.issue(
+          email,
+          "password_reset"
+        );
+        const sent = await mailer.send({
+          to: email,
+          ...passwordResetEmail({ otp: code, validMinutes }),
+        });
+        console.log(
+          `📧 Password reset code sent via ${sent.transport}: ${email}`
+        );
+      }
+
+      return res.json({
+        success: true,
+        message: "If an account exists, a reset code has been sent",
+      });
+    } catch (err) {
+      // Throttled: answer as usual so the limit doesn't reveal the account
+      if (err.statusCode === 429) {
+        console.warn(`⚠️ Password reset code throttled: ${email}`);
+        return res.json({
+          success: true,
+          message: "If an account exists, a reset code has been sent",
+        });
+      }
+      console.error("Password forgot error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/password/reset  { email, code, password }
+// Signs out every session, since the old password may have leaked.
+app.post(
+  "/api/auth/password/reset",
+  authCodeVerifyLimiter,
+  express.json(),
+  async (req, res) => {
+    const { code, password } = req.body || {};
+    const email = req.body?.email?.toLowerCase().trim();
+
+    if (!email || !/^\d{6}$/.test(String(code || "").trim())) {
+      return res
+        .status(400)
+        .json({ error: "Valid email and 6-digit code required" });
+    }
+    if (!password || password.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters" });
+    }
+
+    try {
+      const result = await otps.verify(
+        email,
+        "password_reset",
+        String(code).trim()
+      );
+      if (!result.ok) return otpFailureResponse(res, result);
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      const now = new Date();
+      await User.updateOne(
+        { email },
+        { $set: { passwordHash, tokensValidAfter: now } }
+      );
+      // The code reached the inbox, so the address is confirmed
+      await User.updateOne(
+        { email, emailVerified: false },
+        { $set: { emailVerified: true, emailVerifiedAt: now } }
+      );
+      await revokeSessions({ email }, "password_reset");
+
+      console.log(`🔑 Password reset for ${email}`);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Password reset error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// Refresh + session management
+// ------------------------------------------------------
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { error: "Too many refresh attempts. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// POST /api/auth/refresh  { refreshToken } -> new access + refresh token
+app.post(
+  "/api/auth/refresh",
+  refreshLimiter,
+  express.json(),
+  async (req, res) => {
+    const [sessionId, secret] = String(req.body?.refreshToken || "").split(".");
+    if (!mongoose.isValidObjectId(sessionId) || !secret) {
+      return res.status(400).json({ error: "Invalid refresh token" });
+    }
+
+    try {
+      const hash = hashToken(secret);
+      const nextSecret = newRefreshSecret();
+      const now = new Date();
+
+      const session = await Session.findOneAndUpdate(
+        {
+          _id: sessionId,
+          refreshHash: hash,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+        },
+        {
+          $set: {
+            refreshHash: hashToken(nextSecret),
+            previousRefreshHash: hash,
+            lastUsedAt: now,
+            ip: req.ip,
+            expiresAt: refreshExpiry(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        // An already-rotated token being replayed: someone else has it
+        const reused = await Session.findOneAndUpdate(
+          { _id: sessionId, previousRefreshHash: hash, revokedAt: null },
+          { $set: { revokedAt: now, revokedReason: "refresh_reuse" } }
+        );
+        if (reused) {
+          console.warn(`🚨 Refresh token reuse, session revoked: ${sessionId}`);
+        }
+        return res.status(401).json({ error: "Session expired" });
+      }
+
+      const user = await User.findOne({ email: session.email }, { role: 1 });
+      const claims = {
+        ...jwtClaimsFor(session.email, user),
+        sid: String(session._id),
+      };
+
+      return res.json({
+        jwt: signJwt(claims, ACCESS_TOKEN_EXPIRY),
+        refreshToken: `${session._id}.${nextSecret}`,
+        expiresIn: ACCESS_TOKEN_EXPIRY,
+      });
+    } catch (err) {
+      console.error("Token refresh error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/auth/sessions — active sessions of the signed-in user
+app.get("/api/auth/sessions", verifyJwt, requireUser, async (req, res) => {
+  try {
+    const sessions = await Session.find(
+      {
+        email: req.userEmail,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { refreshHash: 0, previousRefreshHash: 0 }
+    )
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return res.json({
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        deviceId: s.deviceId,
+        deviceName: s.deviceName,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: String(s._id) === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error("Session list error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/auth/sessions/:id — revoke one of my sessions
+app.delete(
+  "/api/auth/sessions/:id",
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+
+    try {
+      const revoked = await revokeSessions(
+        { _id: req.params.id, email: req.userEmail },
+        "revoked_by_user"
+      );
+      if (!revoked) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Session revoke error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/sessions/revoke-all  { keepCurrent = false }
+// Also invalidates older tokens issued before sessions existed.
+app.post(
+  "/api/auth/sessions/revoke-all",
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const keepCurrent = req.body?.keepCurrent === true && req.user.sid;
+
+    try {
+      const revoked = await revokeSessions(
+        {
+          email: req.userEmail,
+          ...(keepCurrent && { _id: { $ne: req.user.sid } }),
+        },
+        "revoke_all"
+      );
+      await User.updateOne(
+        { email: req.userEmail },
+        { $set: { tokensValidAfter: new Date() } }
+      );
+
+      console.log(`🔒 ${req.userEmail} revoked ${revoked} sessions`);
+      return res.json({ success: true, revoked });
+    } catch (err) {
+      console.error("Session revoke-all error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/logout — end the current session
+app.post("/api/auth/logout", verifyJwt, requireUser, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSessions({ _id: req.user.sid }, "logout");
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+const sendPinOtpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 4, // max 4 OTP emails per 15 min per IP
+  message: { error: "Too many OTP requests. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.post(
+  "/api/pin/send-otp",
+  express.json(),
+  sendPinOtpLimiter,
+  async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "Email required" });
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    try {
+      const { code, validMinutes } = await otps.issue(
+        normalizedEmail,
+        "pin_reset"
+      );
+
+      const sent = await mailer.send({
+        to: normalizedEmail,
+        ...pinOtpEmail({ otp: code, validMinutes }),
+      });
+
+      console.log(
+        `📧 OTP email sent via ${sent.transport}: ${normalizedEmail}`
+      );
+      res.json({ success: true, message: "OTP sent" });
+    } catch (err) {
+      if (err.statusCode === 429) return otpThrottleResponse(res, err);
+      console.error("Send OTP error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+const pinResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // e.g. 4 verify attempts per 15 min per IP
+  message: { error: "Too many PIN reset attempts. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-const UserSchema = new mongoose.Schema(
-  {
-    name: { type: String, trim: true },
-    email: { type: String, required: true, unique: true, index: true },
-    passwordHash: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now },
-  },
-  { collection: "users" }
+app.post(
+  "/api/pin/reset",
+  express.json(),
+  pinResetLimiter,
+  async (req, res) => {
+    const { email, otp } = req.body;
+    if (!email || !otp || otp.length !== 6) {
+      return res
+        .status(400)
+        .json({ error: "Valid email and 6-digit OTP required" });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    try {
+      // consumes the OTP on success
+      const result = await otps.verify(normalizedEmail, "pin_reset", otp);
+      if (!result.ok) return otpFailureResponse(res, result);
+
+      await PinSettings.deleteOne({ email: normalizedEmail });
+      // you don't touch PIN here; frontend will clear local PIN after success
+      res.json({ success: true });
+    } catch (err) {
+      console.error("PIN reset verify error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
 );
 
-const User = mongoose.model("User", UserSchema);
+// Save or update PIN settings for a user
+app.post(
+  "/api/pin/save",
+  express.json(),
+  verifyJwt,
+  resolveIdentity("body"),
+  async (req, res) => {
+    try {
+      const { pin, areas } = req.body || {};
 
-const OtpSchema = new mongoose.Schema(
-  {
-    email: { type: String, required: true, index: true },
-    otp: { type: String, required: true },
-    purpose: { type: String, default: "pin_reset" },
-    createdAt: { type: Date, default: Date.now },
-  },
-  { collection: "otps" }
+      // email from JWT is the trusted one
+      const email = req.userEmail;
+      if (!email) {
+        return res.status(400).json({ error: "Missing email" });
+      }
+
+      if (!Array.isArray(areas)) {
+        return res.status(400).json({ error: "areas must be an array" });
+      }
+
+      let update = { areas, updatedAt: new Date() };
+
+      if (pin) {
+        if (typeof pin !== "string" || pin.length !== 6) {
+          return res.status(400).json({ error: "PIN must be 6 digits" });
+        }
+        // hash new PIN
+        const pinHash = await bcrypt.hash(pin, 10);
+        update.pinHash = pinHash;
+        if (!update.createdAt) update.createdAt = new Date();
+      }
+
+      const result = await PinSettings.findOneAndUpdate(
+        { email },
+        { $set: update },
+        { upsert: !!pin, new: true }
+      );
+
+      if (!result) {
+        return res.status(400).json({ error: "PIN not found for update" });
+      }
+
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("PIN save error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
 );
 
-// TTL: delete docs 2 minutes after createdAt
-OtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 60 });
+app.post(
+  "/api/pin/verify",
+  express.json(),
+  verifyJwt,
+  resolveIdentity("body"),
+  async (req, res) => {
+    try {
+      const { pin, areaId } = req.body || {};
 
-const Otp = mongoose.model("Otp", OtpSchema);
+      const email = req.userEmail;
+      if (!email || !pin || !areaId) {
+        return res.status(400).json({ ok: false, error: "Missing fields" });
+      }
 
-const PinSettingsSchema = new mongoose.Schema(
-  {
-    email: { type: String, required: true, unique: true, index: true },
-    pinHash: { type: String, required: true }, // hashed PIN
-    areas: { type: [String], default: [] }, // e.g. ["pinlocktime", "pincustomurl"]
-    createdAt: { type: Date, default: Date.now },
-    updatedAt: { type: Date, default: Date.now },
-  },
-  { collection: "pin_settings" }
+      const settings = await PinSettings.findOne({ email });
+      if (!settings || !settings.pinHash) {
+        return res.status(400).json({ ok: false, error: "PIN not set" });
+      }
+
+      // If this area is not protected, treat as allowed
+      if (
+        settings.areas &&
+        !settings.areas.includes(areaId) &&
+        areaId !== "pinmaster"
+      ) {
+        return res.json({ ok: true });
+      }
+
+      const valid = await bcrypt.compare(pin, settings.pinHash);
+      if (!valid) {
+        return res.status(401).json({ ok: false, error: "Incorrect PIN" });
+      }
+
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("PIN verify error:", err);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  }
 );
 
-// PinSettingsSchema.index({ email: 1 }, { unique: true });
+// DELETE PIN on logout
+app.post("/api/pinlogout", verifyJwt, async (req, res) => {
+  try {
+    const email = req.user?.email;
 
-const PinSettings = mongoose.model("PinSettings", PinSettingsSchema);
+    if (!email) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    await PinSettings.deleteOne({ email });
+    await otps.revoke(email.toLowerCase().trim(), "pin_reset");
+    if (req.user.sid) {
+      await revokeSessions({ _id: req.user.sid }, "logout");
+    }
+
+    console.log("PIN deleted for user on logout:", email);
+
+    return res.json({
+      success: true,
+      message: "PIN cleared successfully",
+    });
+  } catch (err) {
+    console.error("PIN logout error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
 // ------------------------------------------------------
-// Helper: PayPal client factory
+// Vouchers: redeem a gift code (JWT required)
+// POST /api/redeem  { code }
 // ------------------------------------------------------
-function createPaypalClient() {
-  const clientId = process.env.PAYPAL_CLIENT_ID;
-  const clientSecret = process.env.PAYPAL_SECRET;
-  const environment = new paypal.core.LiveEnvironment(clientId, clientSecret);
+const redeemLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many redeem attempts. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-  console.log("clientId", clientId, clientSecret);
-  return new paypal.core.PayPalHttpClient(environment);
+// Unambiguous characters only (no 0/O, 1/I/L)
+const VOUCHER_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function generateVoucherCode(prefix = "BSM") {
+  const bytes = crypto.randomBytes(8);
+  const chars = [...bytes].map(
+    (b) => VOUCHER_ALPHABET[b % VOUCHER_ALPHABET.length]
+  );
+  return `${prefix}-${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
 }
 
-// ------------------------------------------------------
-// Resend / Email setup already at top (resend)
-// ------------------------------------------------------
+app.post(
+  "/api/redeem",
+  redeemLimiter,
+  express.json(),
+  verifyJwt,
+  async (req, res) => {
+    const email = req.user?.email?.toLowerCase().trim();
+    if (!email) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
 
-// Root
-app.get("/", (req, res) => {
-  res.send("Backend is running ✔️");
-});
+    const code = String(req.body?.code || "")
+      .toUpperCase()
+      .trim();
+    if (!code) {
+      return res.status(400).json({ error: "Missing code" });
+    }
 
-// ------------------------------------------------------
-// New: Exchange Google access_token for JWT
-// ------------------------------------------------------
-app.post("/api/auth/google", express.json(), async (req, res) => {
-  const { id_token, access_token } = req.body;
+    try {
+      const voucher = await Voucher.findOne({ code });
+      if (!voucher || !voucher.active) {
+        return res.status(404).json({ error: "Invalid code" });
+      }
+      if (voucher.expiresAt && voucher.expiresAt <= new Date()) {
+        return res.status(410).json({ error: "This code has expired" });
+      }
+      if (await VoucherRedemption.exists({ voucherId: voucher._id, email })) {
+        return res
+          .status(409)
+          .json({ error: "You have already redeemed this code" });
+      }
 
-  try {
-    let email, name;
-    if (id_token) {
-      // Mobile flow — verify id_token
-      const ticket = await googleClient.verifyIdToken({
-        idToken: id_token,
-        audience: GOOGLE_CLIENT_ID,
-      });
-      const payload = ticket.getPayload();
-      email = payload.email;
-      name = payload.name || email;
-    } else if (access_token) {
-      // Validate token with Google
-      // For implicit flow tokens, tokeninfo is a light-weight verification
-      const tokenInfo = await googleClient.getTokenInfo(access_token);
-
-      // Ensure token audience matches your client ID
-      if (!tokenInfo || tokenInfo.aud !== GOOGLE_CLIENT_ID) {
-        console.warn(
-          "Google token audience mismatch or invalid token:",
-          tokenInfo
+      // Claim a use atomically so concurrent redeems can't exceed the cap
+      const claimed = await Voucher.findOneAndUpdate(
+        {
+          _id: voucher._id,
+          active: true,
+          $expr: { $lt: ["$redeemedCount", "$maxRedemptions"] },
+        },
+        { $inc: { redeemedCount: 1 } },
+        { new: true }
+      );
+      if (!claimed) {
+        return res
+          .status(410)
+          .json({ error: "This code has already been used" });
+      }
+
+      let redemption;
+      try {
+        redemption = await VoucherRedemption.create({
+          voucherId: voucher._id,
+          code,
+          email,
+        });
+      } catch (err) {
+        await Voucher.updateOne(
+          { _id: voucher._id },
+          { $inc: { redeemedCount: -1 } }
         );
-        return res.status(401).json({ error: "Invalid token" });
+        if (err.code === 11000) {
+          return res
+            .status(409)
+            .json({ error: "You have already redeemed this code" });
+        }
+        throw err;
       }
 
-      email = tokenInfo.email;
-      name = tokenInfo.email || tokenInfo.sub || "unknown";
-    } else {
-      return res.status(400).json({ error: "Missing Google token" });
-    }
+      const plan =
+        voucher.kind === "premium"
+          ? {
+              id: "voucher",
+              entitlement: "premium",
+              durationDays: voucher.days,
+            }
+          : {
+              id: "voucher",
+              entitlement: "emergency_unlock",
+              credits: voucher.credits,
+            };
+
+      let entitlement;
+      try {
+        entitlement = await grantPlanEntitlement({
+          email,
+          plan,
+          amount: 0,
+          payment: { provider: "voucher", paymentId: code },
+        });
+      } catch (err) {
+        // Give the use back so the user can retry
+        await VoucherRedemption.deleteOne({ _id: redemption._id });
+        await Voucher.updateOne(
+          { _id: voucher._id },
+          { $inc: { redeemedCount: -1 } }
+        );
+        throw err;
+      }
 
-    const normalizedEmail = email.toLowerCase().trim();
+      await VoucherRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { entitlement } }
+      );
 
-    const existingUser = await User.findOne({ email: normalizedEmail });
-    if (!existingUser) {
-      await User.create({
-        name: name || normalizedEmail,
-        email: normalizedEmail,
-        passwordHash: "google_oauth", // sentinel, never used for login
-        createdAt: new Date(),
+      console.log(`🎁 Voucher ${code} redeemed by ${email}`);
+      return res.json({
+        success: true,
+        kind: voucher.kind,
+        ...(entitlement.expiresAt && {
+          expiresAt: entitlement.expiresAt.toISOString(),
+        }),
+        ...(voucher.kind === "emergency_unlock" && {
+          credits: voucher.credits,
+        }),
       });
-      console.log("✅ New Google user saved to DB:", normalizedEmail);
-    } else {
-      // Keep display name in sync with whatever Google returns
-      if (name && existingUser.name !== name) {
-        await User.updateOne({ email: normalizedEmail }, { $set: { name } });
-      }
-      console.log("✅ Existing Google user logged in:", normalizedEmail);
+    } catch (err) {
+      console.error("❌ Redeem error:", err);
+      return res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    // Sign JWT for extension to use
-    const jwtToken = signJwt({ email });
+// ------------------------------------------------------
+// Family / team plans (JWT required)
+// ------------------------------------------------------
+// Buying a plan with `seats` makes the buyer the owner of a group. The owner
+// invites people by email; once they accept, check-payment-status reports
+// the group's family term for them until it lapses. Premium the owner gets
+// from other plans, vouchers or admin grants doesn't extend it.
+const STATUS_RANK = { expired: 0, grace: 1, paid: 2 };
+
+async function familySubscriptionFor(email) {
+  const member = await FamilyMember.findOne({ email, status: "active" });
+  if (!member) return null;
+
+  const group = await FamilyGroup.findById(member.groupId);
+  if (!group?.expiresAt) return null;
+
+  return {
+    ...subscriptionStatus(group),
+    via: "family",
+    owner: group.ownerEmail,
+  };
+}
+
+async function sendFamilyInviteEmail(ownerEmail, email) {
+  try {
+    await mailer.send({
+      to: email,
+      ...familyInviteEmail({ ownerEmail, email }),
+    });
+  } catch (err) {
+    console.error("❌ Family invite email failed:", err);
+  }
+}
+
+// GET /api/family — the group I own, the group I'm in, and pending invites
+app.get("/api/family", verifyJwt, requireUser, async (req, res) => {
+  const email = req.userEmail;
+
+  try {
+    const [owned, memberships] = await Promise.all([
+      FamilyGroup.findOne({ ownerEmail: email }).lean(),
+      FamilyMember.find({ email }).lean(),
+    ]);
+
+    const groups = await FamilyGroup.find({
+      _id: { $in: memberships.map((m) => m.groupId) },
+    }).lean();
+    const ownerOf = new Map(groups.map((g) => [String(g._id), g.ownerEmail]));
+
+    const active = memberships.find((m) => m.status === "active");
 
     return res.json({
-      jwt: jwtToken,
-      email,
-      name,
-      expiresIn: JWT_EXPIRY,
+      owned: owned
+        ? {
+            groupId: owned._id,
+            seats: owned.seats,
+            expiresAt: owned.expiresAt,
+            members: await FamilyMember.find(
+              { groupId: owned._id },
+              { _id: 0, email: 1, status: 1, invitedAt: 1, joinedAt: 1 }
+            ).lean(),
+          }
+        : null,
+      membership: active
+        ? {
+            groupId: active.groupId,
+            owner: ownerOf.get(String(active.groupId)),
+            joinedAt: active.joinedAt,
+          }
+        : null,
+      invites: memberships
+        .filter((m) => m.status === "invited")
+        .map((m) => ({
+          groupId: m.groupId,
+          owner: ownerOf.get(String(m.groupId)),
+          invitedAt: m.invitedAt,
+        })),
     });
   } catch (err) {
-    console.error("Google auth verify failed:", err);
-    return res.status(401).json({ error: "Invalid or expired Google token" });
+    console.error("❌ Family fetch error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-// ⚠️ ONLY Global Middleware: CORS
-app.use(cors());
+// POST /api/family/invite  { email }
+app.post(
+  "/api/family/invite",
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const ownerEmail = req.userEmail;
+    const email = req.body?.email?.toLowerCase().trim();
 
-// Root check
-app.get("/", (req, res) => {
-  res.send("Backend is running ✔️");
-});
+    if (!email || !email.includes("@")) {
+      return res.status(400).json({ error: "Invalid email" });
+    }
+    if (email === ownerEmail) {
+      return res.status(400).json({ error: "You can't invite yourself" });
+    }
 
-// ------------------------------------------------------
-// Payment link creation (Razorpay) - uses express.json() only on route
-// ------------------------------------------------------
+    try {
+      const group = await FamilyGroup.findOne({ ownerEmail });
+      if (!group) {
+        return res
+          .status(403)
+          .json({ error: "A family plan is required to invite members" });
+      }
+
+      if (!group.expiresAt || subscriptionStatus(group).status === "expired") {
+        return res.status(403).json({ error: "Your family plan has expired" });
+      }
+
+      const used = await FamilyMember.countDocuments({ groupId: group._id });
+      if (used >= group.seats - 1) {
+        return res.status(409).json({ error: "No free seats left" });
+      }
+
+      let member;
+      try {
+        member = await FamilyMember.create({ groupId: group._id, email });
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.status(409).json({ error: "Already invited" });
+        }
+        throw err;
+      }
+
+      // Concurrent invites can both pass the count above; undo the loser
+      const total = await FamilyMember.countDocuments({ groupId: group._id });
+      if (total > group.seats - 1) {
+        await FamilyMember.deleteOne({ _id: member._id });
+        return res.status(409).json({ error: "No free seats left" });
+      }
+
+      await sendFamilyInviteEmail(ownerEmail, email);
+
+      console.log(`👪 ${ownerEmail} invited ${email}`);
+      return res.json({ success: true, seatsLeft: group.seats - 1 - total });
+    } catch (err) {
+      console.error("❌ Family invite error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// DELETE /api/family/members/:email — owner removes a member or invite
+app.delete(
+  "/api/family/members/:email",
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const email = req.params.email.toLowerCase().trim();
+
+    try {
+      const group = await FamilyGroup.findOne({ ownerEmail: req.userEmail });
+      if (!group) {
+        return res.status(404).json({ error: "No family group" });
+      }
+
+      const result = await FamilyMember.deleteOne({
+        groupId: group._id,
+        email,
+      });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      console.log(`👪 ${req.userEmail} removed ${email}`);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Family remove error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/family/accept  { groupId }
 app.post(
-  "/api/create-payment-link",
-  createPaymentLimiter,
+  "/api/family/accept",
   express.json(),
+  verifyJwt,
+  requireUser,
   async (req, res) => {
-    const { amount, email, callback_url, phone } = req.body;
-    const amountInPaise = Math.round(amount * 100);
+    const email = req.userEmail;
+    const { groupId } = req.body || {};
 
-    if (!amount || !email) {
-      return res
-        .status(400)
-        .json({ error: "Missing amount or email in request." });
+    if (!mongoose.isValidObjectId(groupId)) {
+      return res.status(400).json({ error: "Invalid groupId" });
     }
 
-    const expireInSeconds = 25 * 60; // 25 minutes
-    const expireTime = Math.floor(Date.now() / 1000) + expireInSeconds;
+    try {
+      const member = await FamilyMember.findOneAndUpdate(
+        { groupId, email, status: "invited" },
+        { $set: { status: "active", joinedAt: new Date() } },
+        { new: true }
+      );
+      if (!member) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
 
-    console.log(
-      `[Link Creation] Calculated Expire Time (UNIX): ${expireTime} (${expireInSeconds} seconds from now)`
-    );
+      console.log(`👪 ${email} joined family group ${groupId}`);
+      return res.json({ success: true });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "Leave your current family group first" });
+      }
+      console.error("❌ Family accept error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    const paymentLinkData = {
-      amount: amountInPaise,
-      currency: "INR",
-      expire_by: expireTime,
-      reference_id: `REF_${Date.now()}`,
-      description: "Premium Feature Access",
-      customer: {
-        email: email,
-        contact: phone || "" 
-      },
-      notify: { email: true, sms: false },
-      reminder_enable: true,
-      callback_url:
-        callback_url ||
-        "chrome-extension://hokdmlppdlkokmlolddngkcceadflbke/premium.html",
-      callback_method: "get",
-      options: {
-        checkout: {
-          name: "BlockSocialMedia",
-          hidden: {
-            contact: true,
-          },
-          readonly: {
-            contact: true,
-          },
-        },
-      },
-    };
+// POST /api/family/leave  { groupId } — leave a group or decline an invite
+app.post(
+  "/api/family/leave",
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const { groupId } = req.body || {};
+
+    if (!mongoose.isValidObjectId(groupId)) {
+      return res.status(400).json({ error: "Invalid groupId" });
+    }
 
     try {
-      const link = await razorpay.paymentLink.create(paymentLinkData);
-      console.log(`✔️ New Payment Link Created: ${link.short_url}`);
-      res.status(200).json({
-        link_url: link.short_url,
-        link_id: link.id,
+      const result = await FamilyMember.deleteOne({
+        groupId,
+        email: req.userEmail,
       });
-    } catch (error) {
-      console.error("❌ Error creating Razorpay link:", error);
-      res.status(500).json({ error: "Failed to create payment link." });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "Membership not found" });
+      }
+
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Family leave error:", err);
+      return res.status(500).json({ error: "Server error" });
     }
   }
 );
 
 // ------------------------------------------------------
-// Emergency payment link creation
+// Account data: export + deletion (JWT required)
 // ------------------------------------------------------
-app.post(
-  "/api/create-emergency-payment-link",
-  express.json(),
-  async (req, res) => {
-    const { amount, email } = req.body;
-    const amountInPaise = Math.round(amount * 100);
+// On deletion only the Payment ledger keeps the email: it is the record of
+// who paid what, when, and what was refunded, which tax and accounting
+// rules require us to keep and which chargeback disputes are answered
+// from. The raw provider payloads on those rows lose the payer's contact
+// details, name and address, keeping amounts, ids and statuses. Rows that
+// only mirror it (purchased terms, captured PayPal orders, emergency
+// unlocks, coupon and voucher uses, recurring subscriptions) are kept for
+// revenue figures but moved to a random placeholder address.
+// Everything else tied to the email, or to a device the user signed in
+// from, is deleted, and the user's error reports and the admin audit rows
+// about them are anonymized. LegacyAuthCall rows are per-day counters by
+// route and extension version and never hold an email, so they stay.
+const accountDataLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: { error: "Too many requests. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-    if (!amount || !email) {
-      return res
-        .status(400)
-        .json({ error: "Missing amount or email in request." });
-    }
+// Devices the user signed in from; DailyUsage is keyed by device only
+async function accountDeviceIds(email) {
+  const ids = await Session.distinct("deviceId", { email });
+  return ids.filter(Boolean);
+}
 
-    const expireInSeconds = 25 * 60; // 25 minutes
-    const expireTime = Math.floor(Date.now() / 1000) + expireInSeconds;
+// Replace every occurrence of the email in an audit row's strings, at any
+// depth (action paths, query, body, before/after details)
+function scrubEmail(value, pattern, placeholder) {
+  if (typeof value === "string") return value.replace(pattern, placeholder);
+  if (Array.isArray(value)) {
+    return value.map((v) => scrubEmail(v, pattern, placeholder));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        scrubEmail(v, pattern, placeholder),
+      ])
+    );
+  }
+  return value;
+}
 
-    console.log(
-      `[Link Creation] Calculated Expire Time (UNIX): ${expireTime} (${expireInSeconds} seconds from now)`
+// Payer details inside Razorpay / PayPal payloads (payment entities,
+// payment link customers, PayPal payers and shipping)
+const PAYLOAD_PII_KEYS = new Set([
+  "email",
+  "email_address",
+  "contact",
+  "phone",
+  "phone_number",
+  "name",
+  "given_name",
+  "surname",
+  "full_name",
+  "customer",
+  "customer_details",
+  "payer",
+  "address",
+  "billing_address",
+  "shipping",
+  "vpa",
+  "card",
+  "bank_account",
+]);
+
+function scrubPaymentPayload(value, pattern, placeholder) {
+  if (Array.isArray(value)) {
+    return value.map((v) => scrubPaymentPayload(v, pattern, placeholder));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([k]) => !PAYLOAD_PII_KEYS.has(k))
+        .map(([k, v]) => [k, scrubPaymentPayload(v, pattern, placeholder)])
     );
+  }
+  // Anything left that mentions the email, e.g. notes or descriptions
+  return scrubEmail(value, pattern, placeholder);
+}
 
-    const paymentLinkData = {
-      amount: amountInPaise,
-      currency: "INR",
-      expire_by: expireTime,
-      reference_id: `REF_${Date.now()}`,
-      description: "Emergency unlock fetaures",
-      customer: { email: email },
-      notify: { email: true, sms: false },
-      reminder_enable: true,
-      callback_url:
-        "chrome-extension://hokdmlppdlkokmlolddngkcceadflbke/premium.html",
-      callback_method: "get",
-      options: {
-        checkout: {
-          name: "BlockSocialMedia", // forces app name in checkout
+// The ledger rows themselves stay; their payloads lose the payer's details.
+// Refund and dispute events carry no email of their own, so they are found
+// through the payment ids.
+async function scrubPaymentPayloads(email, placeholder) {
+  const pattern = new RegExp(escapeRegex(email), "gi");
+  const paymentIds = (await Payment.distinct("paymentId", { email })).filter(
+    Boolean
+  );
+  const rows = await Payment.find(
+    { $or: [{ email }, { paymentId: { $in: paymentIds } }] },
+    { payload: 1 }
+  ).lean();
+
+  const updates = rows
+    .filter((row) => row.payload != null)
+    .map((row) => ({
+      updateOne: {
+        filter: { _id: row._id },
+        update: {
+          $set: {
+            payload: scrubPaymentPayload(row.payload, pattern, placeholder),
+          },
         },
       },
-    };
+    }));
+  if (!updates.length) return { modifiedCount: 0 };
+  return Payment.bulkWrite(updates);
+}
+
+// Admin audit rows keep what was done, but no longer to whom
+async function anonymizeAdminAudit(email, placeholder) {
+  const variants = [email, encodeURIComponent(email)].map(escapeRegex);
+  const pattern = new RegExp(variants.join("|"), "gi");
+  const mentions = { $regex: variants.join("|"), $options: "i" };
+
+  const rows = await AdminAudit.find({
+    $or: [
+      { target: email },
+      { actor: email },
+      { action: mentions },
+      { "query.q": mentions },
+      { "body.email": email },
+    ],
+  }).lean();
+
+  if (!rows.length) return { modifiedCount: 0 };
+  return AdminAudit.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { _id: row._id },
+        update: {
+          $set: Object.fromEntries(
+            ["actor", "action", "target", "query", "body", "details"]
+              .filter((field) => row[field] != null)
+              .map((field) => [
+                field,
+                scrubEmail(row[field], pattern, placeholder),
+              ])
+          ),
+        },
+      },
+    }))
+  );
+}
+
+// Error reports carry the reporter (email, else device id) on each sample
+async function accountErrorReports(reporters) {
+  const [groups, samples] = await Promise.all([
+    ErrorReporter.find({ reporter: { $in: reporters } }, { __v: 0 }).lean(),
+    ErrorGroup.aggregate([
+      { $match: { "samples.reporter": { $in: reporters } } },
+      { $unwind: "$samples" },
+      { $match: { "samples.reporter": { $in: reporters } } },
+      { $project: { _id: 0, fingerprint: 1, sample: "$samples" } },
+    ]),
+  ]);
+  return { groups, samples };
+}
+
+// GET /api/me/export — everything stored about the signed-in user
+app.get(
+  "/api/me/export",
+  accountDataLimiter,
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const email = req.userEmail;
 
     try {
-      const link = await razorpay.paymentLink.create(paymentLinkData);
-      console.log(`✔️ New Emergency Payment Link Created: ${link.short_url}`);
+      const user = await User.findOne(
+        { email },
+        { passwordHash: 0, __v: 0 }
+      ).lean();
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
+      }
 
-      res.status(200).json({
-        link_url: link.short_url,
-        link_id: link.id,
-      });
-    } catch (error) {
-      console.error(
-        "❌ Error creating Razorpay link for Emergency Lock:",
-        error
+      const deviceIds = await accountDeviceIds(email);
+      const ownedGroup = await FamilyGroup.findOne({
+        ownerEmail: email,
+      }).lean();
+
+      const [
+        premium,
+        subscriptionTerms,
+        recurringSubscriptions,
+        payments,
+        paypalOrders,
+        emergencyUnlocks,
+        pinSettings,
+        pendingCodes,
+        sessions,
+        familyMembers,
+        familyMemberships,
+        voucherRedemptions,
+        couponRedemptions,
+        feedback,
+        dailyUsage,
+        errorReports,
+      ] = await Promise.all([
+        PaidUser.findOne({ email }, { __v: 0 }).lean(),
+        SubscriptionTerm.find({ email }, { __v: 0 }).lean(),
+        RazorpaySubscription.find({ email }, { __v: 0 }).lean(),
+        Payment.find({ email }, { __v: 0 }).lean(),
+        PaypalOrder.find({ email }, { __v: 0 }).lean(),
+        EmergencyUnlock.find({ email }, { __v: 0 }).lean(),
+        PinSettings.findOne({ email }, { pinHash: 0, __v: 0 }).lean(),
+        Otp.find({ email }, { codeHash: 0, __v: 0 }).lean(),
+        Session.find(
+          { email },
+          { refreshHash: 0, previousRefreshHash: 0, __v: 0 }
+        ).lean(),
+        ownedGroup
+          ? FamilyMember.find({ groupId: ownedGroup._id }, { __v: 0 }).lean()
+          : [],
+        FamilyMember.find({ email }, { __v: 0 }).lean(),
+        VoucherRedemption.find({ email }, { __v: 0 }).lean(),
+        CouponRedemption.find({ email }, { __v: 0 }).lean(),
+        Feedback.find({ email }, { __v: 0 }).lean(),
+        deviceIds.length
+          ? DailyUsage.find({ deviceId: { $in: deviceIds } }, { __v: 0 }).lean()
+          : [],
+        accountErrorReports([email, ...deviceIds]),
+      ]);
+
+      console.log(`📦 Account data exported: ${email}`);
+
+      res.setHeader(
+        "Content-Disposition",
+        'attachment; filename="blocksocialmedia-account.json"'
       );
-      res
-        .status(500)
-        .json({ error: "Failed to create payment link for Emergency Lock." });
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        account: user,
+        premium,
+        subscriptionTerms,
+        recurringSubscriptions,
+        payments,
+        paypalOrders,
+        emergencyUnlocks,
+        pinSettings,
+        pendingCodes,
+        sessions,
+        family: {
+          ownedGroup,
+          members: familyMembers,
+          memberships: familyMemberships,
+        },
+        voucherRedemptions,
+        couponRedemptions,
+        feedback,
+        dailyUsage,
+        errorReports,
+      });
+    } catch (err) {
+      console.error("❌ Account export error:", err);
+      return res.status(500).json({ error: "Server error" });
     }
   }
 );
 
-// ------------------------------------------------------
-// WEBHOOK HANDLER for Razorpay (raw body) — unchanged logic
-// ------------------------------------------------------
+// POST /api/me/delete/code — email a code that confirms account deletion
 app.post(
-  "/api/razorpay/webhook",
-  express.raw({ type: "application/json" }),
+  "/api/me/delete/code",
+  authCodeLimiter,
+  verifyJwt,
+  requireUser,
   async (req, res) => {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const receivedSignature = req.headers["x-razorpay-signature"];
-
-    // Signature validation (req.body is Buffer because of express.raw)
-    const expectedSignature = crypto
-      .createHmac("sha256", secret)
-      .update(req.body)
-      .digest("hex");
+    try {
+      const { code, validMinutes } = await otps.issue(
+        req.userEmail,
+        "account_delete"
+      );
+      const sent = await mailer.send({
+        to: req.userEmail,
+        ...accountDeletionEmail({ otp: code, validMinutes }),
+      });
 
-    if (receivedSignature !== expectedSignature) {
-      console.log("❌ Signature mismatch");
-      return res.status(400).json({ error: "Invalid signature" });
+      console.log(
+        `📧 Account deletion code sent via ${sent.transport}: ${req.userEmail}`
+      );
+      return res.json({ success: true, message: "Code sent" });
+    } catch (err) {
+      if (err.statusCode === 429) return otpThrottleResponse(res, err);
+      console.error("❌ Account deletion code error:", err);
+      return res.status(500).json({ error: "Failed to send code" });
     }
+  }
+);
 
-    console.log("✔️ Signature Verified.");
+// Confirm it's really the account holder: current password, an emailed
+// code, or a fresh token from the linked Google account. Returns the
+// method used, or null.
+async function reauthenticate(user, body = {}) {
+  if (body.password) {
+    if (!hasPassword(user)) return null;
+    const valid = await bcrypt.compare(
+      String(body.password),
+      user.passwordHash
+    );
+    return valid ? "password" : null;
+  }
 
-    let body = {};
-    try {
-      body = JSON.parse(req.body.toString());
-    } catch (e) {
-      console.error("❌ Failed to parse webhook JSON:", e);
-      return res.status(400).json({ error: "Invalid JSON" });
-    }
+  if (body.code) {
+    const result = await otps.verify(
+      user.email,
+      "account_delete",
+      String(body.code).trim()
+    );
+    return result.ok ? "code" : null;
+  }
 
-    console.log("📩 Event:", body.event);
+  if (body.id_token || body.access_token) {
+    const linked = identitiesOf(user).find((i) => i.provider === "google");
+    if (!linked) return null;
+    const google = await verifyGoogleToken(body).catch(() => null);
+    if (!google) return null;
+    // Older Google identities have no subject yet; fall back to the email
+    const matches = linked.subject
+      ? linked.subject === google.sub
+      : google.email?.toLowerCase().trim() === user.email;
+    return matches ? "google" : null;
+  }
 
-    if (body.event === "payment_link.paid") {
-      let email =
-        body.payload.payment?.entity?.email ||
-        body.payload.payment_link?.entity?.customer?.email ||
-        body.payload.payment_link?.entity?.email ||
-        null;
+  return null;
+}
 
-      const amount = body.payload.payment?.entity?.amount;
-      const linkId = body.payload.payment_link?.entity?.id;
+// Stop future renewals before the account disappears
+async function cancelRecurringSubscriptions(email) {
+  const active = await RazorpaySubscription.find({
+    email,
+    status: { $in: ACTIVE_SUBSCRIPTION_STATUSES },
+  });
 
-      if ((!email || email.includes("razorpay.com")) && linkId) {
-        console.log(
-          `🔍 Email missing or invalid in webhook payload. Falling back to Razorpay API fetch for link ${linkId}...`
-        );
-        try {
-          const linkDetails = await razorpay.paymentLink.fetch(linkId);
-          email = linkDetails.customer?.email || null;
-
-          if (email) {
-            console.log(
-              "✔️ Email successfully fetched via Razorpay API:",
-              email
-            );
-          } else {
-            console.warn(
-              "⚠️ Email still not found after fetching link details from API."
-            );
-          }
-        } catch (apiError) {
-          console.error("❌ Razorpay API Fetch Error:", apiError);
-        }
+  for (const sub of active) {
+    const updated = await razorpay.subscriptions.cancel(
+      sub.subscriptionId,
+      false
+    );
+    sub.status = updated.status || "cancelled";
+    sub.cancelAtCycleEnd = false;
+    sub.updatedAt = new Date();
+    await sub.save();
+  }
+  return active.length;
+}
+
+// POST /api/me/delete  { password | code | id_token | access_token }
+app.post(
+  "/api/me/delete",
+  accountDataLimiter,
+  express.json(),
+  verifyJwt,
+  requireUser,
+  async (req, res) => {
+    const email = req.userEmail;
+
+    try {
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(404).json({ error: "Account not found" });
       }
 
-      if (
-        email &&
-        !email.includes("razorpay.com") &&
-        amount !== undefined &&
-        amount !== null
-      ) {
-        const cleanedEmail = email.toLowerCase().trim();
+      const method = await reauthenticate(user, req.body);
+      if (!method) {
+        return res.status(401).json({
+          error:
+            "Confirm with your password, the emailed code or your Google account",
+          code: "reauth_required",
+        });
+      }
 
-        try {
-          if (amount === 2900) {
-            await EmergencyUnlock.create({
-              email: cleanedEmail,
-              amount: 2900,
-              status: "paid",
-              used: false,
-              razorpay_payment_id: body.payload.payment?.entity?.id || null,
-              razorpay_link_id: body.payload.payment_link?.entity?.id || null,
-            });
-            console.log(`✔️ Emergency Unlock saved for: ${cleanedEmail}`);
-          } else if (amount === 1200) {
-            // Android monthly ₹12
-            const now = new Date();
-            const expireDate = new Date(
-              now.getTime() + 30 * 24 * 60 * 60 * 1000
-            );
-            await PaidUser.findOneAndUpdate(
-              { email: cleanedEmail },
-              { $set: { paidAt: now, expiresAt: expireDate, amount: amount } },
-              { upsert: true, new: true }
-            );
-            console.log(`✔️ Monthly premium activated: ${cleanedEmail}`);
-          } else if (amount === 12000) {
-            // Android yearly ₹120
-            const now = new Date();
-            const expireDate = new Date(
-              now.getTime() + 365 * 24 * 60 * 60 * 1000
-            );
-            await PaidUser.findOneAndUpdate(
-              { email: cleanedEmail },
-              { $set: { paidAt: now, expiresAt: expireDate, amount: amount } },
-              { upsert: true, new: true }
-            );
-            console.log(`✔️ Yearly premium activated: ${cleanedEmail}`);
-          }
-        } catch (dbError) {
-          console.error("❌ DB Save Error:", dbError);
-          return res.status(500).json({ error: "DB Error" });
-        }
-      } else {
-        console.warn(
-          "⚠️ Webhook processing skipped. Customer email was still null/placeholder or amount was missing after all checks."
+      // Fails the whole request if Razorpay can't cancel, so nobody is
+      // charged for an account that no longer exists
+      const cancelledSubscriptions = await cancelRecurringSubscriptions(email);
+
+      const deviceIds = await accountDeviceIds(email);
+      const reporters = [email, ...deviceIds];
+      const ownedGroup = await FamilyGroup.findOne({ ownerEmail: email });
+      const placeholder = `deleted-${crypto
+        .randomBytes(8)
+        .toString("hex")}@deleted.invalid`;
+
+      // Open checkouts give their coupon uses back before the rows move
+      await releaseCouponReservation({ email }, "account_deleted");
+
+      // Every step below only touches rows still tied to the account, so a
+      // request that failed half-way can simply be repeated. The User goes
+      // last: until then the account can still sign in and retry.
+      const anonymizedResults = {
+        errorSamples: await ErrorGroup.updateMany(
+          { "samples.reporter": { $in: reporters } },
+          { $set: { "samples.$[s].reporter": "deleted" } },
+          { arrayFilters: [{ "s.reporter": { $in: reporters } }] }
+        ),
+        subscriptionTerms: await SubscriptionTerm.updateMany(
+          { email },
+          { $set: { email: placeholder } }
+        ),
+        paypalOrders: await PaypalOrder.updateMany(
+          { email, captured: true },
+          { $set: { email: placeholder } }
+        ),
+        emergencyUnlocks: await EmergencyUnlock.updateMany(
+          { email },
+          { $set: { email: placeholder } }
+        ),
+        couponRedemptions: await CouponRedemption.updateMany(
+          { email },
+          { $set: { email: placeholder } }
+        ),
+        voucherRedemptions: await VoucherRedemption.updateMany(
+          { email },
+          { $set: { email: placeholder } }
+        ),
+        recurringSubscriptions: await RazorpaySubscription.updateMany(
+          { email },
+          { $set: { email: placeholder } }
+        ),
+        paymentPayloads: await scrubPaymentPayloads(email, placeholder),
+        adminAudit: await anonymizeAdminAudit(email, placeholder),
+      };
+
+      const results = {
+        familyMembers: ownedGroup
+          ? await FamilyMember.deleteMany({ groupId: ownedGroup._id })
+          : { deletedCount: 0 },
+        familyGroup: await FamilyGroup.deleteMany({ ownerEmail: email }),
+        familyMemberships: await FamilyMember.deleteMany({ email }),
+        premium: await PaidUser.deleteMany({ email }),
+        pinSettings: await PinSettings.deleteMany({ email }),
+        otps: await Otp.deleteMany({ email }),
+        otpGuards: await OtpGuard.deleteMany({ email }),
+        paypalOrders: await PaypalOrder.deleteMany({ email, captured: false }),
+        feedback: await Feedback.deleteMany({ email }),
+        errorReporters: await ErrorReporter.deleteMany({
+          reporter: { $in: reporters },
+        }),
+        dailyUsage: deviceIds.length
+          ? await DailyUsage.deleteMany({ deviceId: { $in: deviceIds } })
+          : { deletedCount: 0 },
+        sessions: await Session.deleteMany({ email }),
+        user: await User.deleteOne({ _id: user._id }),
+      };
+
+      const counts = (results) =>
+        Object.fromEntries(
+          Object.entries(results).map(([name, r]) => [
+            name,
+            r.deletedCount ?? r.modifiedCount ?? 0,
+          ])
         );
-      }
+      const deleted = counts(results);
+      const anonymized = counts(anonymizedResults);
+      const retained = { payments: await Payment.countDocuments({ email }) };
+
+      // The account is gone either way; a failed log mustn't report an error
+      await AccountDeletion.create({
+        emailHash: crypto.createHash("sha256").update(email).digest("hex"),
+        method,
+        deleted: { ...deleted, cancelledSubscriptions },
+        anonymized,
+        retained,
+      }).catch((err) => console.error("❌ Account deletion log failed:", err));
+
+      console.log(`🗑️ Account deleted (${method}): ${email}`, deleted);
+
+      return res.json({ success: true, deleted, anonymized, retained });
+    } catch (err) {
+      console.error("❌ Account deletion error:", err);
+      return res.status(500).json({ error: "Failed to delete account" });
     }
-
-    return res.json({ status: "ok" });
   }
 );
 
 // ------------------------------------------------------
-// STATUS CHECK: READS FROM DATABASE (augmented to use JWT, non-breaking)
+// Admin API (/api/admin/*)
 // ------------------------------------------------------
-app.get("/api/check-payment-status", verifyJwt, async (req, res) => {
-  let email = req.user?.email || req.query.email;
-  email = email?.toLowerCase().trim();
-
-  if (!email) return res.json({ status: "missing_email" });
-
-  try {
-    const user = await PaidUser.findOne({ email });
-
-    if (!user) {
-      return res.json({ status: "pending" });
-    }
+// Access: x-admin-key matching ADMIN_API_KEY, or a JWT whose user has
+// role "admin" in the users collection (the claim alone is not trusted,
+// so demoting a user takes effect immediately). Every request is written
+// to the admin_audit collection.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: { error: "Too many admin requests. Try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-    const isExpired = user.expiresAt && new Date(user.expiresAt) < new Date();
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
 
-    if (isExpired) {
-      return res.json({ status: "expired", expiresAt: user.expiresAt });
+async function requireAdmin(req, res, next) {
+  const key = req.headers["x-admin-key"];
+  if (key) {
+    if (ADMIN_API_KEY && safeEqual(key, ADMIN_API_KEY)) {
+      req.admin = { actor: "api_key", via: "api_key" };
+      return next();
     }
-
-    return res.json({ status: "paid", expiresAt: user.expiresAt });
-  } catch (err) {
-    console.error("check-payment-status error:", err);
-    return res.status(500).json({ error: "Server error" });
+    return res.status(401).json({ error: "Invalid admin credential" });
   }
-});
-
-// Health
-app.get("/health", (req, res) => {
-  res.status(200).send("OK");
-});
-
-// ------------------------------------------------------
-// Check emergency payment status
-// ------------------------------------------------------
-// app.get("/api/check-emergency-status", async (req, res) => {
-//   const email = req.query.email?.toLowerCase().trim();
-
-//   if (!email) return res.json({ status: "missing_email" });
-
-//   const record = await EmergencyUnlock.findOne({ email });
 
-//   if (!record) {
-//     return res.json({ status: "pending" });
-//   }
+  verifyJwt(req, res, async () => {
+    try {
+      const email = req.user?.email?.toLowerCase().trim();
+      if (!email || req.user.role !== "admin") {
+        return res.status(403).json({ error: "Admin access required" });
+      }
 
-//   return res.json({ status: "paid", amount: record.amount });
-// });
+      const admin = await User.exists({ email, role: "admin" });
+      if (!admin) {
+        return res.status(403).json({ error: "Admin access required" });
+      }
 
-app.get("/api/country", (req, res) => {
-  const ip = req.ip;
-  const geo = geoip.lookup(ip);
+      req.admin = { actor: email, via: "jwt" };
+      next();
+    } catch (err) {
+      console.error("❌ Admin auth error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+}
 
-  return res.json({
-    country_code: geo?.country || "You",
-    source: geo ? "ip" : "fallback",
+// Writes the audit row once the response is sent. Handlers add context
+// (target, reason, before/after) through res.locals.audit.
+function auditAdminRequest(req, res, next) {
+  res.locals.audit = {};
+  res.on("finish", () => {
+    const { target = null, reason = null, ...details } = res.locals.audit;
+    AdminAudit.create({
+      actor: req.admin?.actor || "unknown",
+      via: req.admin?.via || null,
+      action: `${req.method} ${req.baseUrl}${req.path}`,
+      target,
+      reason,
+      statusCode: res.statusCode,
+      query: req.query,
+      body: req.body,
+      details,
+      ip: req.ip,
+    }).catch((err) => console.error("❌ Admin audit write failed:", err));
   });
-});
+  next();
+}
 
-// ------------------------------------------------------
-// Delete emergency payment record
-// ------------------------------------------------------
-app.get("/api/check-emergency-status", async (req, res) => {
-  const email = req.query.email?.toLowerCase().trim();
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-  if (!email) {
-    return res.status(400).json({ error: "Missing email" });
+const PLAN_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const EDITABLE_PLAN_FIELDS = [
+  "amountPaise",
+  "currency",
+  "displayPrice",
+  "period",
+  "description",
+  "durationDays",
+  "credits",
+  "seats",
+  "entitlement",
+  "prices",
+  "recurring",
+];
+
+const PLAN_ENTITLEMENTS = ["premium", "emergency_unlock"];
+const RECURRING_PERIODS = ["daily", "weekly", "monthly", "yearly"];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Validates the EDITABLE_PLAN_FIELDS present in `body`; returns { fields }
+// with normalized values or { error }
+function parsePlanFields(body) {
+  const has = (key) => body[key] !== undefined;
+  const fields = {};
+
+  for (const key of ["amountPaise", "credits"]) {
+    if (!has(key)) continue;
+    if (!isPositiveInteger(body[key])) {
+      return { error: `${key} must be a positive integer` };
+    }
+    fields[key] = body[key];
+  }
+  if (has("durationDays")) {
+    if (!Number.isInteger(body.durationDays) || body.durationDays < 0) {
+      return { error: "durationDays must be a non-negative integer" };
+    }
+    fields.durationDays = body.durationDays;
+  }
+  if (has("seats")) {
+    if (body.seats !== null && !isPositiveInteger(body.seats)) {
+      return { error: "seats must be a positive integer or null" };
+    }
+    fields.seats = body.seats;
+  }
+  if (has("currency")) {
+    const currency = String(body.currency).toUpperCase().trim();
+    if (typeof body.currency !== "string" || !CURRENCY_PATTERN.test(currency)) {
+      return { error: "currency must be a 3-letter code" };
+    }
+    fields.currency = currency;
+  }
+  for (const key of ["displayPrice", "period", "description"]) {
+    if (!has(key)) continue;
+    if (typeof body[key] !== "string" || body[key].length > 200) {
+      return { error: `${key} must be a string of up to 200 characters` };
+    }
+    fields[key] = body[key];
+  }
+  if (has("entitlement")) {
+    if (!PLAN_ENTITLEMENTS.includes(body.entitlement)) {
+      return { error: "Invalid entitlement" };
+    }
+    fields.entitlement = body.entitlement;
   }
-
-  try {
-    const record = await EmergencyUnlock.findOne({
-      email,
-      amount: 2900,
-    });
-
-    if (!record) {
-      return res.json({ status: "not_found" });
+  if (has("prices")) {
+    const prices = body.prices;
+    if (!prices || typeof prices !== "object" || Array.isArray(prices)) {
+      return { error: "prices must map currency codes to amounts" };
     }
-
-    if (record.status === "paid") {
-      // 🔥 DELETE AFTER SUCCESS
-      await EmergencyUnlock.deleteOne({
-        email,
-        amount: 2900,
-      });
-
-      console.log(`🗑️ Emergency Unlock consumed for ${email}`);
-
-      return res.json({ status: "paid" });
+    fields.prices = {};
+    for (const [code, amount] of Object.entries(prices)) {
+      if (!CURRENCY_PATTERN.test(code) || !isPositiveInteger(amount)) {
+        return { error: "prices must map currency codes to amounts" };
+      }
+      fields.prices[code] = amount;
+    }
+  }
+  if (has("recurring")) {
+    const recurring = body.recurring;
+    if (recurring !== null) {
+      if (
+        !recurring ||
+        typeof recurring !== "object" ||
+        !RECURRING_PERIODS.includes(recurring.period) ||
+        !isPositiveInteger(recurring.interval ?? 1) ||
+        !isPositiveInteger(recurring.totalCount)
+      ) {
+        return {
+          error: `recurring needs a period (${RECURRING_PERIODS.join(
+            ", "
+          )}), a totalCount and an optional interval`,
+        };
+      }
     }
+    fields.recurring = recurring && {
+      period: recurring.period,
+      interval: recurring.interval ?? 1,
+      totalCount: recurring.totalCount,
+    };
+  }
+  return { fields };
+}
 
-    return res.json({ status: "pending" });
+const adminRouter = express.Router();
+adminRouter.use(adminLimiter, express.json(), requireAdmin, auditAdminRequest);
+
+// GET /api/admin/plans — stored catalog and the effective (merged) one
+adminRouter.get("/plans", async (req, res) => {
+  try {
+    const config = await AppConfig.findOne({
+      key: "subscription_plans",
+    }).lean();
+    return res.json({
+      stored: config?.value || {},
+      effective: await getPlanCatalog(),
+      updatedAt: config?.updatedAt || null,
+    });
   } catch (err) {
-    console.error("❌ Emergency status check error:", err);
+    console.error("❌ Admin plans error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/feedback", feedbackLimiter, express.json(), async (req, res) => {
-  const { rating, type, name, email, message } = req.body;
+// PUT /api/admin/plans/:planId  { amountPaise?, currency?, ..., reason }
+// Creates the plan if missing, which needs amountPaise, currency and
+// entitlement; only EDITABLE_PLAN_FIELDS are accepted.
+adminRouter.put("/plans/:planId", async (req, res) => {
+  const { planId } = req.params;
+  const { reason, ...body } = req.body || {};
 
-  // Enhanced validation
-  if (!rating || !type || !name?.trim() || !email?.trim() || !message?.trim()) {
-    return res.status(400).json({ error: "Missing or empty required fields" });
+  if (!PLAN_ID_PATTERN.test(planId)) {
+    return res.status(400).json({ error: "Invalid plan id" });
   }
 
-  if (rating < 1 || rating > 5) {
-    return res.status(400).json({ error: "Rating must be 1-5 stars" });
+  const unknown = Object.keys(body).filter(
+    (f) => !EDITABLE_PLAN_FIELDS.includes(f)
+  );
+  if (unknown.length) {
+    return res
+      .status(400)
+      .json({ error: `Unknown plan fields: ${unknown.join(", ")}` });
   }
+  const { fields, error } = parsePlanFields(body);
+  if (error) return res.status(400).json({ error });
 
-  // -------------------------
-  // ⭐ ENHANCED IP + Location
-  // -------------------------
-  const ip =
-    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-    req.socket.remoteAddress ||
-    "Unknown";
-  const location = geoip.lookup(ip) || {};
-  const country = location.country || "Unknown";
-  const city = location.city || "Unknown";
-  const region = location.region || "Unknown";
-
-  // -------------------------
-  // ⭐ ADVANCED Device Detection
-  // -------------------------
-  const userAgent = req.headers["user-agent"] || "Unknown Device";
-
-  const parseDevice = (ua) => {
-    let browser = "Unknown",
-      os = "Unknown",
-      device = "Desktop";
-
-    // Browser detection (more precise)
-    if (/chrome|crios/i.test(ua)) browser = "Chrome";
-    else if (/firefox/i.test(ua)) browser = "Firefox";
-    else if (/safari/i.test(ua) && !/chrome/i.test(ua)) browser = "Safari";
-    else if (/edg/i.test(ua)) browser = "Edge";
-    else if (/opera|opr/i.test(ua)) browser = "Opera";
+  try {
+    const catalog = await getPlanCatalog();
+    const before = catalog[planId] || null;
+    const after = { ...before, ...fields };
 
-    // OS + Device detection
-    if (/windows/i.test(ua)) os = "Windows";
-    else if (/macintosh|mac os x/i.test(ua)) os = "macOS";
-    else if (/linux/i.test(ua)) os = "Linux";
-    else if (/android/i.test(ua)) {
-      os = "Android";
-      device = "Mobile";
-    } else if (/iphone|ipad|ipod/i.test(ua)) {
-      os = "iOS";
-      device = "Mobile";
+    const missing = ["amountPaise", "currency", "entitlement"].filter(
+      (key) => after[key] === undefined
+    );
+    if (missing.length) {
+      return res
+        .status(400)
+        .json({ error: `A new plan needs ${missing.join(", ")}` });
+    }
+    if (after.entitlement === "premium" && !(after.durationDays > 0)) {
+      return res
+        .status(400)
+        .json({ error: "A premium plan needs durationDays above 0" });
     }
 
-    // Extension detection
-    const isExtension = ua.includes("Chrome/") && ua.includes("Extension");
-
-    return { browser, os, device, isExtension };
-  };
-
-  const deviceInfo = parseDevice(userAgent);
-
-  // -------------------------
-  // ⭐ STAR RATING VISUAL
-  // -------------------------
-  const starRating = "★".repeat(rating) + "☆".repeat(5 - rating);
-
-  // -------------------------
-  // ⭐ PROFESSIONAL HTML TEMPLATE
-  // -------------------------
-  const emailHtml = `
-    <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif; padding:30px; background:linear-gradient(135deg,#667eea 0%,#764ba2 100%); min-height:100vh;">
-      <div style="max-width:700px; margin:0 auto; background:#ffffff; border-radius:20px; box-shadow:0 20px 40px rgba(0,0,0,0.1); overflow:hidden;">
-        
-        <!-- Header -->
-        <div style="background:linear-gradient(135deg,#4f46e5,#7c3aed); color:white; padding:30px; text-align:center;">
-          <h1 style="margin:0; font-size:28px; font-weight:700;">📩 New User Feedback</h1>
-          <div style="font-size:24px; margin:10px 0; font-weight:300;">
-            ${starRating}
-          </div>
-          <p style="margin:0; opacity:0.9; font-size:16px;">${rating}/5 Stars</p>
-        </div>
-
-        <!-- Content -->
-        <div style="padding:30px;">
-          <div style="display:grid; grid-template-columns:1fr 1fr; gap:20px; margin-bottom:25px;">
-            <div>
-              <h3 style="margin:0 0 8px 0; color:#374151; font-size:16px;">👤 User Details</h3>
-              <p><strong>Name:</strong> ${name}</p>
-              <p><strong>Email:</strong> <a href="mailto:${email}" style="color:#4f46e5;">${email}</a></p>
-              <p><strong>Type:</strong> <span style="background:#dbeafe; padding:4px 12px; border-radius:20px; color:#1e40af; font-weight:500;">${type}</span></p>
-            </div>
-            <div>
-              <h3 style="margin:0 0 8px 0; color:#374151; font-size:16px;">📍 Location</h3>
-              <p><strong>IP:</strong> <code style="background:#f3f4f6; padding:2px 6px; border-radius:4px; font-family:monospace;">${ip}</code></p>
-              <p><strong>Location:</strong> ${city}, ${region}, ${country}</p>
-            </div>
-          </div>
-
-          <!-- Message -->
-          <div style="background:#f8fafc; border:2px solid #e2e8f0; border-radius:12px; padding:25px; margin:25px 0;">
-            <h3 style="margin:0 0 15px 0; color:#1f2937;">💬 User Message</h3>
-            <div style="font-size:16px; line-height:1.6; color:#374151; white-space:pre-wrap;">
-              ${message.replace(/\n/g, "<br>")}
-            </div>
-          </div>
-
-          <!-- Device Info -->
-          <div style="background:#f1f5f9; border-radius:12px; padding:20px; margin-top:25px;">
-            <h3 style="margin:0 0 15px 0; color:#1e293b; display:flex; align-items:center; gap:8px;">
-              🖥️ Device & Browser
-              ${
-                deviceInfo.isExtension
-                  ? '<span style="background:#10b981; color:white; padding:2px 8px; border-radius:12px; font-size:12px;">EXTENSION</span>'
-                  : ""
-              }
-            </h3>
-            <div style="display:grid; grid-template-columns:repeat(auto-fit,minmax(200px,1fr)); gap:12px; font-size:14px;">
-              <div><strong>Browser:</strong> ${deviceInfo.browser}</div>
-              <div><strong>OS:</strong> ${deviceInfo.os}</div>
-              <div><strong>Device:</strong> ${deviceInfo.device}</div>
-              <div><strong>User Agent:</strong> ${userAgent.slice(0, 80)}${
-    userAgent.length > 80 ? "..." : ""
-  }</div>
-            </div>
-          </div>
-
-          <!-- Timestamp -->
-          <div style="text-align:center; padding:20px; color:#6b7280; font-size:13px; border-top:1px solid #e5e7eb;">
-            Received: ${new Date().toLocaleString("en-US", {
-              weekday: "long",
-              year: "numeric",
-              month: "long",
-              day: "numeric",
-              hour: "2-digit",
-              minute: "2-digit",
-              timeZoneName: "short",
-            })}
-            <br><strong>BlockSocialMedia Chrome Extension</strong> © ${new Date().getFullYear()}
-          </div>
-        </div>
-      </div>
-    </div>
-  `;
-
-  // -------------------------
-  // ⭐ Send Enhanced Email
-  // -------------------------
-  try {
-    // await resend.emails.send({
-    //   from: `BlockSocialMedia <onboarding@resend.dev>`,
-    //   to: process.env.FEEDBACK_EMAIL,
-    //   subject: `⭐ ${rating}/5 Stars - ${type} Feedback from ${name}`,
-    //   html: emailHtml,
-    //   tags: [
-    //     `feedback-${rating}-stars`,
-    //     `type-${type}`,
-    //     `browser-${deviceInfo.browser}`,
-    //   ],
-    // });
-
-    const resendResult = await resend.emails.send({
-      from: "BlockSocialMedia <onboarding@resend.dev>",
-      to: process.env.FEEDBACK_EMAIL,
-      subject: `New Feedback – ${rating} ★ – ${type} from ${name}`,
-      html: emailHtml,
-    });
-
-    console.log("📬 Feedback sent via Resend!", resendResult);
+    await AppConfig.updateOne(
+      { key: "subscription_plans" },
+      { $set: { [`value.${planId}`]: after, updatedAt: new Date() } },
+      { upsert: true }
+    );
 
-    // console.log(`📬 Feedback sent: ${rating}★ ${type} from ${email}`);
-    return res.json({
-      success: true,
-      message: "Thank you for your feedback! 🎉",
-    });
+    res.locals.audit = { target: `plan:${planId}`, reason, before, after };
+    console.log(`🛠️ Plan ${planId} updated by ${req.admin.actor}`);
+    return res.json({ success: true, plan: { id: planId, ...after } });
   } catch (err) {
-    console.error("❌ Resend Email Error:", err);
-    return res.status(500).json({ error: "Failed to send feedback" });
+    console.error("❌ Admin plan update error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/create-paypal-order", express.json(), async (req, res) => {
-  const { amount, email } = req.body;
-  if (!amount || !email)
-    return res.status(400).json({ error: "Missing amount or email" });
+// GET /api/admin/users?q=<email fragment>
+// Searches User, PaidUser, PinSettings and EmergencyUnlock by email.
+adminRouter.get("/users", async (req, res) => {
+  const q = String(req.query.q || "")
+    .toLowerCase()
+    .trim();
+  if (q.length < 3) {
+    return res
+      .status(400)
+      .json({ error: "Query must be at least 3 characters" });
+  }
+
+  const filter = { email: { $regex: escapeRegex(q) } };
+  const limit = 50;
 
   try {
-    const client = createPaypalClient();
+    const [users, paidUsers, pins, unlocks] = await Promise.all([
+      User.find(filter, { email: 1, name: 1, createdAt: 1 })
+        .limit(limit)
+        .lean(),
+      PaidUser.find(filter).limit(limit).lean(),
+      PinSettings.find(filter, { email: 1 }).limit(limit).lean(),
+      EmergencyUnlock.find({ ...filter, status: "paid" }, { email: 1 })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const byEmail = new Map();
+    const entry = (email) => {
+      if (!byEmail.has(email)) {
+        byEmail.set(email, {
+          email,
+          name: null,
+          hasAccount: false,
+          premium: null,
+          hasPin: false,
+          emergencyCredits: 0,
+        });
+      }
+      return byEmail.get(email);
+    };
 
-    const request = new paypal.orders.OrdersCreateRequest();
-    request.requestBody({
-      intent: "CAPTURE",
-      purchase_units: [
-        {
-          amount: { currency_code: "USD", value: amount.toString() },
-          custom_id: email,
-        },
-      ],
-      application_context: {
-        shipping_preference: "NO_SHIPPING",
-      },
+    users.forEach((u) => {
+      Object.assign(entry(u.email), { name: u.name, hasAccount: true });
     });
-
-    const order = await client.execute(request);
-
-    await PaypalOrder.create({
-      orderID: order.result.id,
-      email,
-      captured: false,
+    paidUsers.forEach((p) => {
+      entry(p.email).premium = subscriptionStatus(p);
     });
+    pins.forEach((p) => (entry(p.email).hasPin = true));
+    unlocks.forEach((u) => (entry(u.email).emergencyCredits += 1));
 
-    const approveLink = order.result.links.find(
-      (l) => l.rel === "approve"
-    )?.href;
-
-    return res.json({ orderID: order.result.id, approveLink });
+    res.locals.audit = { target: `search:${q}` };
+    return res.json({ results: [...byEmail.values()].slice(0, limit) });
   } catch (err) {
-    console.error("PayPal Create Order Error:", err);
-    return res.status(500).json({ error: "PayPal order creation failed" });
+    console.error("❌ Admin user search error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.get("/api/check-paypal-status", async (req, res) => {
-  const email = req.query.email?.toLowerCase().trim();
-  if (!email) return res.status(400).json({ error: "Missing email" });
+// GET /api/admin/users/:email — everything tied to one email
+adminRouter.get("/users/:email", async (req, res) => {
+  const email = req.params.email.toLowerCase().trim();
 
   try {
-    const pending = await PaypalOrder.findOne({ email, captured: false }).sort({
-      createdAt: -1,
+    const [
+      user,
+      paidUser,
+      pin,
+      unlocks,
+      terms,
+      payments,
+      subscriptions,
+      paypalOrders,
+      familyGroup,
+      familyMemberships,
+    ] = await Promise.all([
+      User.findOne({ email }, { passwordHash: 0 }).lean(),
+      PaidUser.findOne({ email }).lean(),
+      PinSettings.findOne({ email }, { pinHash: 0 }).lean(),
+      EmergencyUnlock.find({ email }).sort({ paidAt: -1 }).lean(),
+      SubscriptionTerm.find({ email }).sort({ startsAt: -1 }).lean(),
+      Payment.find({ email }, { payload: 0 })
+        .sort({ receivedAt: -1 })
+        .limit(50)
+        .lean(),
+      RazorpaySubscription.find({ email }).sort({ createdAt: -1 }).lean(),
+      PaypalOrder.find({ email }).sort({ createdAt: -1 }).limit(20).lean(),
+      FamilyGroup.findOne({ ownerEmail: email }).lean(),
+      FamilyMember.find({ email }).lean(),
+    ]);
+
+    res.locals.audit = { target: `user:${email}` };
+    return res.json({
+      email,
+      user,
+      premium: paidUser
+        ? { ...paidUser, ...subscriptionStatus(paidUser) }
+        : null,
+      pin,
+      emergencyUnlocks: unlocks,
+      subscriptionTerms: terms,
+      payments,
+      subscriptions,
+      paypalOrders,
+      family: { owned: familyGroup, memberships: familyMemberships },
     });
-    if (!pending) return res.json({ status: "pending" });
-
-    const client = createPaypalClient();
-
-    const getReq = new paypal.orders.OrdersGetRequest(pending.orderID);
-    const orderResp = await client.execute(getReq);
-
-    const status = orderResp.result.status;
-    console.log("PayPal order status:", pending.orderID, status);
-
-    if (status === "APPROVED") {
-      try {
-        const capReq = new paypal.orders.OrdersCaptureRequest(pending.orderID);
-        capReq.requestBody({});
-        const capResp = await client.execute(capReq);
-
-        pending.captured = true;
-        await pending.save();
+  } catch (err) {
+    console.error("❌ Admin user detail error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-        const payerEmail = capResp.result.payer?.email_address || email;
+// POST /api/admin/users/:email/grant  { days | credits, reason }
+// days -> premium stacked like a purchase; credits -> emergency unlocks
+adminRouter.post("/users/:email/grant", async (req, res) => {
+  const email = req.params.email.toLowerCase().trim();
+  const { days, credits, reason } = req.body || {};
 
-        const now = new Date();
-        const expire = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+  if (!reason?.trim()) {
+    return res.status(400).json({ error: "A reason is required" });
+  }
 
-        await PaidUser.findOneAndUpdate(
-          { email: payerEmail.toLowerCase().trim() },
-          {
-            paidAt: now,
-            expiresAt: expire,
-            amount: Math.round(
-              parseFloat(
-                capResp.result.purchase_units[0].payments.captures[0].amount
-                  .value
-              ) * 100
-            ),
-          },
-          { upsert: true }
-        );
+  const premium = Number.isInteger(days) && days > 0;
+  const emergency = Number.isInteger(credits) && credits > 0;
+  if (premium === emergency) {
+    return res
+      .status(400)
+      .json({ error: "Provide either positive days or credits" });
+  }
 
-        return res.json({ status: "paid" });
-      } catch (err) {
-        console.error("PayPal capture failed:", err);
-        return res.json({ status: "pending" });
-      }
-    }
+  const plan = premium
+    ? { id: "admin_grant", entitlement: "premium", durationDays: days }
+    : { id: "admin_grant", entitlement: "emergency_unlock", credits };
 
-    if (status === "COMPLETED") {
-      pending.captured = true;
-      await pending.save();
-      return res.json({ status: "paid" });
-    }
+  try {
+    const entitlement = await grantPlanEntitlement({
+      email,
+      plan,
+      amount: 0,
+      payment: { provider: "admin", paymentId: `admin_${Date.now()}` },
+    });
 
-    return res.json({ status: "pending", paypalStatus: status });
+    res.locals.audit = {
+      target: `user:${email}`,
+      reason,
+      days: days ?? null,
+      credits: credits ?? null,
+      entitlement,
+    };
+    console.log(`🛠️ ${req.admin.actor} granted ${email}: ${reason}`);
+    return res.json({ success: true, entitlement });
   } catch (err) {
-    console.error("check-paypal-status error:", err);
+    console.error("❌ Admin grant error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/capture-paypal-order", express.json(), async (req, res) => {
-  try {
-    const { orderID } = req.body;
-    if (!orderID) {
-      return res.status(400).json({ error: "Missing orderID" });
-    }
-
-    const client = createPaypalClient(); // ← we already created this earlier
-
-    // Capture request for PayPal
-    const request = new paypal.orders.OrdersCaptureRequest(orderID);
-    request.requestBody({});
-
-    const capture = await client.execute(request);
+// POST /api/admin/users/:email/revoke  { reason, emergency = false }
+// Ends premium immediately (no grace) or revokes unused emergency credits.
+adminRouter.post("/users/:email/revoke", async (req, res) => {
+  const email = req.params.email.toLowerCase().trim();
+  const { reason, emergency = false } = req.body || {};
 
-    console.log("PayPal Capture Response:", capture.result);
+  if (!reason?.trim()) {
+    return res.status(400).json({ error: "A reason is required" });
+  }
 
-    // Extract buyer email
-    const payerEmail =
-      capture.result.payer?.email_address ||
-      capture.result.purchase_units?.[0]?.payee?.email_address ||
-      null;
+  try {
+    const now = new Date();
 
-    if (!payerEmail) {
-      console.error("❌ No email found in PayPal capture!");
-      return res.status(500).json({ error: "No email found in transaction" });
+    if (emergency) {
+      const result = await EmergencyUnlock.updateMany(
+        { email, status: "paid" },
+        { $set: { status: "revoked", revokedReason: `admin: ${reason}` } }
+      );
+      res.locals.audit = {
+        target: `user:${email}`,
+        reason,
+        revokedCredits: result.modifiedCount,
+      };
+      return res.json({ success: true, revokedCredits: result.modifiedCount });
     }
 
-    // Store PREMIUM USER — same logic as Razorpay
-    const now = new Date();
-    const expireDate = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    const before = await PaidUser.findOne({ email }).lean();
+    if (!before) {
+      return res.status(404).json({ error: "No premium record" });
+    }
 
-    await PaidUser.findOneAndUpdate(
-      { email: payerEmail.toLowerCase().trim() },
-      {
-        paidAt: now,
-        expiresAt: expireDate,
-        amount: capture.result.purchase_units[0].amount.value, // USD value
-      },
-      { upsert: true, new: true }
+    // Backdate past the grace window so status is "expired" right away
+    const expiresAt = new Date(
+      now.getTime() - PREMIUM_GRACE_DAYS * 24 * 60 * 60 * 1000 - 1000
+    );
+    await PaidUser.updateOne(
+      { email },
+      { $set: { expiresAt, autoRenew: false } }
+    );
+    await SubscriptionTerm.updateMany(
+      { email, expiresAt: { $gt: now }, revokedAt: null },
+      { $set: { revokedReason: `admin: ${reason}`, revokedAt: now } }
     );
 
+    res.locals.audit = {
+      target: `user:${email}`,
+      reason,
+      previousExpiresAt: before.expiresAt,
+    };
+    console.log(
+      `🛠️ ${req.admin.actor} revoked premium for ${email}: ${reason}`
+    );
     return res.json({ success: true });
   } catch (err) {
-    console.error("PayPal Capture Error:", err);
-    return res.status(500).json({ error: "PayPal capture failed" });
+    console.error("❌ Admin revoke error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-// ------------------------------------------------------
-// 🚨 DAILY ERROR SUMMARY ENDPOINT
-app.post("/api/report-error-daily", express.json(), async (req, res) => {
-  const { errors, date } = req.body;
+// GET /api/admin/payments?status=&provider=&email=&limit=50&payload=true
+adminRouter.get("/payments", async (req, res) => {
+  const { status, provider, email } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
 
-  if (!errors || !Array.isArray(errors) || errors.length === 0) {
-    return res.json({ success: true });
-  }
+  const filter = {};
+  if (status) filter.status = status;
+  if (provider) filter.provider = provider;
+  if (email) filter.email = String(email).toLowerCase().trim();
 
-  // IP for geo
-  const ip =
-    req.headers["x-forwarded-for"]?.split(",")[0] ||
-    req.socket.remoteAddress ||
-    "Unknown";
-  const location = geoip.lookup(ip) || {};
+  try {
+    const payments = await Payment.find(
+      filter,
+      req.query.payload === "true" ? {} : { payload: 0 }
+    )
+      .sort({ receivedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({ payments });
+  } catch (err) {
+    console.error("❌ Admin payments error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-  // Build HTML summary
-  let emailHtml = `
-    <div style="font-family:Arial, sans-serif; padding:20px; background:#f7f7f7;">
-      <div style="max-width:700px; margin:0 auto; background:#ffffff; padding:25px; border-radius:12px;">
-        <h1 style="color:#d32f2f;">📊 Daily Extension Error Report</h1>
-        <h2 style="color:#333;">${date} (${errors.length} errors)</h2>
-        
-        <div style="background:#fff3cd; padding:15px; border-radius:8px; margin:20px 0;">
-          <p><strong>IP:</strong> ${ip} | <strong>Location:</strong> ${
-    location.city || "N/A"
-  }, ${location.country || "N/A"}</p>
-        </div>
-  `;
-
-  errors.forEach((err, i) => {
-    emailHtml += `
-      <div style="border-left:4px solid #f44336; padding:15px; margin:20px 0; background:#fafafa;">
-        <h3 style="margin-top:0;">#${i + 1} ${err.context}</h3>
-        <p><strong>Time:</strong> ${new Date(
-          err.timestamp
-        ).toLocaleString()}</p>
-        <p><strong>User:</strong> ${err.userEmail}</p>
-        <p><strong>Message:</strong> ${err.message}</p>
-        ${
-          err.stack
-            ? `<details><summary>Stack Trace</summary><pre style="font-size:11px; overflow:auto;">${err.stack}</pre></details>`
-            : ""
-        }
-      </div>
-    `;
-  });
+// GET /api/admin/audit?actor=&target=&limit=100
+adminRouter.get("/audit", async (req, res) => {
+  const { actor, target } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
 
-  emailHtml += `
-        <hr/>
-        <p style="text-align:center; color:#666; font-size:12px;">
-          BlockSocialMedia Chrome Extension | Auto-generated daily report
-        </p>
-      </div>
-    </div>
-  `;
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (target) filter.target = target;
 
   try {
-    await resend.emails.send({
-      from: "BlockSocialMedia Daily <onboarding@resend.dev>",
-      to: process.env.FEEDBACK_EMAIL,
-      subject: `📊 Extension Errors: ${errors.length} issues on ${date}`,
-      html: emailHtml,
-    });
-
-    console.log(`📧 Daily report sent: ${errors.length} errors on ${date}`);
-    res.json({ success: true });
+    const entries = await AdminAudit.find(filter)
+      .sort({ at: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ entries });
   } catch (err) {
-    console.error("Daily report email failed:", err);
-    res.status(500).json({ error: "Email failed" });
+    console.error("❌ Admin audit list error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.get("/api/free-limit-status", async (req, res) => {
-  const deviceId = req.query.deviceId;
-  const siteId = req.query.siteId;
-  if (!deviceId || !siteId) {
-    return res.status(400).json({ error: "Missing deviceId or siteId" });
+// GET /api/admin/feedback?status=&type=&rating=&email=&from=&to=&limit=50
+adminRouter.get("/feedback", async (req, res) => {
+  const { status, type, rating, email, from, to } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (rating) filter.rating = Number(rating);
+  if (email) filter.email = String(email).toLowerCase().trim();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lt = new Date(to);
   }
 
-  const today = new Date().toISOString().slice(0, 10);
-
   try {
-    const usage = await DailyUsage.findOne({ deviceId, siteId, date: today });
-    const used = usage?.totalMinutes || 0;
-    const remaining = Math.max(0, 30 - used);
-    const canUse = remaining > 0;
-
-    return res.json({ canUse, used, remaining, limit: 30 });
-  } catch (e) {
-    console.error("free-limit-status error", e);
+    const feedback = await Feedback.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ feedback });
+  } catch (err) {
+    console.error("❌ Admin feedback list error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/free-log-usage", express.json(), async (req, res) => {
-  const { deviceId, siteId, minutes } = req.body;
-
-  if (!deviceId || !siteId || !minutes || minutes <= 0) {
-    return res.status(400).json({ error: "Invalid deviceId/siteId/minutes" });
+// GET /api/admin/feedback/stats?interval=day|week|month&from=&to=
+// Rating aggregates: overall, per period and per status
+adminRouter.get("/feedback/stats", async (req, res) => {
+  const interval = ["day", "week", "month"].includes(req.query.interval)
+    ? req.query.interval
+    : "week";
+
+  const match = {};
+  if (req.query.from || req.query.to) {
+    match.createdAt = {};
+    if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) match.createdAt.$lt = new Date(req.query.to);
   }
 
-  const today = new Date().toISOString().slice(0, 10);
-
   try {
-    const doc = await DailyUsage.findOneAndUpdate(
-      { deviceId, siteId, date: today },
+    const [result] = await Feedback.aggregate([
+      { $match: match },
       {
-        $setOnInsert: { deviceId, siteId, date: today, createdAt: new Date() },
-        $inc: { totalMinutes: minutes },
-        $set: { updatedAt: new Date() },
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                avgRating: { $avg: "$rating" },
+              },
+            },
+          ],
+          distribution: [
+            { $group: { _id: "$rating", count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+          ],
+          byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+          series: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: "$createdAt", unit: interval } },
+                count: { $sum: 1 },
+                avgRating: { $avg: "$rating" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
       },
-      { new: true, upsert: true }
-    );
+    ]);
 
-    const used = doc.totalMinutes;
-    const remaining = Math.max(0, 30 - used);
-    return res.json({ success: true, used, remaining, limit: 30 });
-  } catch (e) {
-    console.error("free-log-usage error", e);
+    const round = (n) => (n == null ? null : Math.round(n * 100) / 100);
+
+    return res.json({
+      interval,
+      count: result.overall[0]?.count || 0,
+      avgRating: round(result.overall[0]?.avgRating),
+      distribution: Object.fromEntries(
+        [1, 2, 3, 4, 5].map((r) => [
+          r,
+          result.distribution.find((d) => d._id === r)?.count || 0,
+        ])
+      ),
+      byStatus: Object.fromEntries(
+        result.byStatus.map((s) => [s._id, s.count])
+      ),
+      series: result.series.map((p) => ({
+        period: p._id,
+        count: p.count,
+        avgRating: round(p.avgRating),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ Admin feedback stats error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// ------------------------------------------------------
-// Email + Password SIGNUP
-// ------------------------------------------------------
-app.post("/api/auth/signup", express.json(), async (req, res) => {
-  try {
-    const { name, email, password } = req.body || {};
+// PATCH /api/admin/feedback/:id  { status, note }
+adminRouter.patch("/feedback/:id", async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body || {};
 
-    if (!name || !name.trim() || !email || !password) {
-      return res
-        .status(400)
-        .json({ error: "Name, email and password are required" });
-    }
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: "Invalid feedback id" });
+  }
+  if (status && !["new", "acknowledged", "resolved"].includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  if (!status && note === undefined) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
 
-    if (password.length < 6) {
-      return res
-        .status(400)
-        .json({ error: "Password must be at least 6 characters" });
+  const update = { updatedAt: new Date() };
+  if (status) {
+    update.status = status;
+    update.resolvedAt = status === "resolved" ? new Date() : null;
+  }
+  if (note !== undefined) update.note = note;
+
+  try {
+    const feedback = await Feedback.findByIdAndUpdate(
+      id,
+      { $set: update },
+      { new: true }
+    ).lean();
+    if (!feedback) {
+      return res.status(404).json({ error: "Feedback not found" });
     }
 
-    const normalizedEmail = email.toLowerCase().trim();
+    res.locals.audit = { target: `feedback:${id}`, status };
+    return res.json({ feedback });
+  } catch (err) {
+    console.error("❌ Admin feedback update error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const existing = await User.findOne({ email: normalizedEmail });
-    if (existing) {
-      return res
-        .status(409)
-        .json({ error: "Email already registered. Please log in." });
-    }
+// GET /api/admin/errors?status=open&q=&since=&sort=count|lastSeen|userCount&limit=50
+adminRouter.get("/errors", async (req, res) => {
+  const { status, q, since } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const sortField = ["count", "lastSeen", "userCount", "firstSeen"].includes(
+    req.query.sort
+  )
+    ? req.query.sort
+    : "lastSeen";
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (since) filter.lastSeen = { $gte: new Date(since) };
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q)), "i");
+    filter.$or = [{ context: pattern }, { message: pattern }];
+  }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+  try {
+    const groups = await ErrorGroup.find(filter, { samples: 0 })
+      .sort({ [sortField]: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ groups });
+  } catch (err) {
+    console.error("❌ Admin error list error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const user = await User.create({
-      name: name.trim(),
-      email: normalizedEmail,
-      passwordHash,
-    });
+// GET /api/admin/errors/:fingerprint — group, samples and users per version
+adminRouter.get("/errors/:fingerprint", async (req, res) => {
+  const { fingerprint } = req.params;
+
+  try {
+    const group = await ErrorGroup.findOne({ fingerprint }).lean();
+    if (!group) {
+      return res.status(404).json({ error: "Error group not found" });
+    }
 
-    const jwtToken = signJwt({ email: user.email });
+    const versions = await ErrorReporter.aggregate([
+      { $match: { fingerprint } },
+      {
+        $group: {
+          _id: "$version",
+          users: { $sum: 1 },
+          events: { $sum: "$count" },
+        },
+      },
+      { $sort: { users: -1 } },
+    ]);
 
     return res.json({
-      jwt: jwtToken,
-      email: user.email,
-      name: user.name,
-      expiresIn: JWT_EXPIRY,
+      group,
+      versions: versions.map((v) => ({
+        version: v._id,
+        users: v.users,
+        events: v.events,
+      })),
     });
   } catch (err) {
-    console.error("Email signup error:", err);
+    console.error("❌ Admin error detail error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// ------------------------------------------------------
-// Email + Password LOGIN
-// ------------------------------------------------------
-app.post("/api/auth/login", express.json(), async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-
-    if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
-    }
+// PATCH /api/admin/errors/:fingerprint  { status: open|resolved|ignored }
+adminRouter.patch("/errors/:fingerprint", async (req, res) => {
+  const { fingerprint } = req.params;
+  const { status, reason } = req.body || {};
 
-    const normalizedEmail = email.toLowerCase().trim();
+  if (!["open", "resolved", "ignored"].includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
 
-    const user = await User.findOne({ email: normalizedEmail });
-    if (!user) {
-      return res.status(401).json({ error: "Invalid email or password" });
+  try {
+    const group = await ErrorGroup.findOneAndUpdate(
+      { fingerprint },
+      {
+        $set: {
+          status,
+          resolvedAt: status === "resolved" ? new Date() : null,
+        },
+      },
+      { new: true, projection: { samples: 0 } }
+    ).lean();
+    if (!group) {
+      return res.status(404).json({ error: "Error group not found" });
     }
 
-    const valid = await bcrypt.compare(password, user.passwordHash);
-    if (!valid) {
-      return res.status(401).json({ error: "Invalid email or password" });
-    }
+    res.locals.audit = { target: `error:${fingerprint}`, reason, status };
+    return res.json({ group });
+  } catch (err) {
+    console.error("❌ Admin error update error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const jwtToken = signJwt({ email: user.email });
+// GET /api/admin/legacy-auth?days=7 — email-only callers per route/version
+adminRouter.get("/legacy-auth", async (req, res) => {
+  const days = Math.min(Number(req.query.days) || 7, 90);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  try {
+    const calls = await LegacyAuthCall.aggregate([
+      { $match: { day: { $gte: since } } },
+      {
+        $group: {
+          _id: { route: "$route", version: "$version" },
+          count: { $sum: "$count" },
+          lastSeenAt: { $max: "$lastSeenAt" },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
 
     return res.json({
-      jwt: jwtToken,
-      email: user.email,
-      name: user.name,
-      expiresIn: JWT_EXPIRY,
+      mode: AUTH_MODE,
+      since,
+      calls: calls.map((c) => ({
+        ...c._id,
+        count: c.count,
+        lastSeenAt: c.lastSeenAt,
+      })),
     });
   } catch (err) {
-    console.error("Email login error:", err);
+    console.error("❌ Admin legacy auth error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-const sendPinOtpLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 4, // max 4 OTP emails per 15 min per IP
-  message: { error: "Too many OTP requests. Try again later." },
-  standardHeaders: true,
-  legacyHeaders: false,
+// GET /api/admin/jobs — scheduled jobs and their last run
+adminRouter.get("/jobs", async (req, res) => {
+  try {
+    const states = await JobState.find({
+      name: { $in: scheduler.jobNames() },
+    }).lean();
+    return res.json({ jobs: states, instanceId: scheduler.instanceId });
+  } catch (err) {
+    console.error("❌ Admin jobs error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
 });
 
-app.post(
-  "/api/pin/send-otp",
-  express.json(),
-  sendPinOtpLimiter,
-  async (req, res) => {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: "Email required" });
+// POST /api/admin/jobs/:name/run — make a job due now
+adminRouter.post("/jobs/:name/run", async (req, res) => {
+  const { name } = req.params;
+  if (!scheduler.jobNames().includes(name)) {
+    return res.status(404).json({ error: "Unknown job" });
+  }
 
-    const normalizedEmail = email.toLowerCase().trim();
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  try {
+    await scheduler.trigger(name);
+    res.locals.audit = { target: `job:${name}`, reason: req.body?.reason };
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Admin job trigger error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    try {
-      // optional: delete old OTPs for this email
-      await Otp.deleteMany({ email: normalizedEmail, purpose: "pin_reset" });
+// Validate coupon fields from an admin request. With `partial` only the
+// fields present are checked (PATCH). Returns { fields } or { error }.
+function parseCouponFields(body, { partial = false } = {}) {
+  const has = (key) => body[key] !== undefined;
+  const fields = {};
 
-      await Otp.create({
-        email: normalizedEmail,
-        otp,
-        purpose: "pin_reset",
-      });
+  if (!partial || has("type")) {
+    if (!["percent", "fixed"].includes(body.type)) {
+      return { error: 'type must be "percent" or "fixed"' };
+    }
+    fields.type = body.type;
+  }
+  if (!partial || has("value")) {
+    if (!Number.isInteger(body.value) || body.value <= 0) {
+      return { error: "value must be a positive integer" };
+    }
+    fields.value = body.value;
+  }
+  if (has("currency")) {
+    if (typeof body.currency !== "string" || !body.currency.trim()) {
+      return { error: "Invalid currency" };
+    }
+    fields.currency = body.currency.toUpperCase().trim();
+  }
+  if (has("plans")) {
+    if (
+      !Array.isArray(body.plans) ||
+      body.plans.some((p) => typeof p !== "string")
+    ) {
+      return { error: "plans must be an array of plan ids" };
+    }
+    fields.plans = body.plans;
+  }
+  for (const key of ["startsAt", "endsAt"]) {
+    if (!has(key)) continue;
+    const date = body[key] === null ? null : new Date(body[key]);
+    if (date && isNaN(date)) return { error: `Invalid ${key}` };
+    fields[key] = date;
+  }
+  for (const key of ["maxRedemptions", "perUserLimit"]) {
+    if (!has(key)) continue;
+    if (body[key] !== null && !(Number.isInteger(body[key]) && body[key] > 0)) {
+      return { error: `${key} must be a positive integer or null` };
+    }
+    fields[key] = body[key];
+  }
+  if (has("active")) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    fields.active = body.active;
+  }
 
-      await axios.post(
-        "https://script.google.com/macros/s/AKfycbwMsK8NS1iIWauAwhniDcmDjSn1x5Ha-780GVSdFNuDRRJwJ0qV4rsIzl5b6tlW8W9ynQ/exec",
-        {
-          key: process.env.GAS_KEY,
-          to: normalizedEmail,
-          subject: "Block Social Media - PIN Reset Code",
-          body: `
-        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif; background:#f3f4f6; padding:24px;">
-          <div style="max-width:480px; margin:0 auto; background:#ffffff; border-radius:16px; box-shadow:0 10px 30px rgba(15,23,42,0.12); overflow:hidden;">
-
-            <!-- Header -->
-            <div style="background:linear-gradient(135deg,#4f46e5,#7c3aed); padding:18px 24px; color:#ffffff;">
-              <h1 style="margin:0; font-size:20px; font-weight:600;">PIN Reset Code</h1>
-              <p style="margin:4px 0 0; font-size:13px; opacity:0.9;">
-                Pin Reset - BlockSocialMedia
-              </p>
-            </div>
-
-            <!-- Content -->
-            <div style="padding:24px 24px 20px;">
-              <p style="margin:0 0 12px; font-size:14px; color:#111827;">
-                Use the following one-time code to reset your PIN.
-              </p>
-
-              <!-- OTP Code -->
-              <div style="
-                margin:16px 0 18px;
-                padding:14px 20px;
-                background:#111827;
-                color:#f9fafb;
-                font-size:26px;
-                font-weight:700;
-                letter-spacing:8px;
-                text-align:center;
-                border-radius:12px;
-              ">
-                ${otp}
-              </div>
-
-              <p style="margin:0 0 8px; font-size:13px; color:#4b5563;">
-                This code is valid for <strong>2 minutes</strong>. For your security, do not share it with anyone.
-              </p>
-              <p style="margin:0 0 16px; font-size:13px; color:#6b7280;">
-                If you did not request a PIN reset, you can safely ignore this email. Your existing PIN will remain active.
-              </p>
-
-              <hr style="border:none; border-top:1px solid #e5e7eb; margin:18px 0 14px;" />
-
-              <p style="margin:0; font-size:11px; color:#9ca3af; line-height:1.5;">
-                Sent by <strong>BlockSocialMedia · SaveTime</strong><br/>
-                You are receiving this email because a PIN reset was requested from the Chrome extension.
-              </p>
-            </div>
-          </div>
-        </div>
-      `,
-        }
-      );
+  if (fields.type === "percent" && fields.value > 100) {
+    return { error: "A percent coupon can't exceed 100" };
+  }
+  if (fields.startsAt && fields.endsAt && fields.startsAt >= fields.endsAt) {
+    return { error: "endsAt must be after startsAt" };
+  }
+  return { fields };
+}
 
-      console.log("📧 OTP email sent via Resend:", otp);
-      res.json({ success: true, message: "OTP sent" });
-    } catch (err) {
-      console.error("Send OTP error:", err);
-      res.status(500).json({ error: "Server error" });
-    }
+// POST /api/admin/coupons
+//   { code, type, value, currency?, plans?, startsAt?, endsAt?,
+//     maxRedemptions?, perUserLimit = 1, reason }
+adminRouter.post("/coupons", async (req, res) => {
+  const body = req.body || {};
+  const code = normalizeCouponCode(body.code);
+  if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+    return res
+      .status(400)
+      .json({ error: "code must be 3-40 letters, digits, - or _" });
   }
-);
 
-const pinResetLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // e.g. 4 verify attempts per 15 min per IP
-  message: { error: "Too many PIN reset attempts. Try again later." },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+  const { fields, error } = parseCouponFields(body);
+  if (error) return res.status(400).json({ error });
 
-app.post(
-  "/api/pin/reset",
-  express.json(),
-  pinResetLimiter,
-  async (req, res) => {
-    const { email, otp } = req.body;
-    if (!email || !otp || otp.length !== 6) {
-      return res
-        .status(400)
-        .json({ error: "Valid email and 6-digit OTP required" });
+  try {
+    const coupon = await Coupon.create({ code, ...fields });
+
+    res.locals.audit = { target: `coupon:${code}`, reason: body.reason };
+    console.log(`🏷️ ${req.admin.actor} created coupon ${code}`);
+    return res.json({ coupon });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Coupon code already exists" });
     }
+    console.error("❌ Admin coupon create error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const normalizedEmail = email.toLowerCase().trim();
+// GET /api/admin/coupons?active=true|false&limit=100
+adminRouter.get("/coupons", async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const filter = {};
+  if (req.query.active === "true") filter.active = true;
+  if (req.query.active === "false") filter.active = false;
 
-    try {
-      const record = await Otp.findOne({
-        email: normalizedEmail,
-        purpose: "pin_reset",
-        otp,
-      });
+  try {
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ coupons });
+  } catch (err) {
+    console.error("❌ Admin coupon list error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-      if (!record) {
-        return res.status(400).json({ error: "Invalid or expired OTP" });
-      }
+// GET /api/admin/coupons/:code — the coupon, its uses and open reservations
+adminRouter.get("/coupons/:code", async (req, res) => {
+  const code = normalizeCouponCode(req.params.code);
 
-      // consume OTP
-      await Otp.deleteMany({ email: normalizedEmail, purpose: "pin_reset" });
-      await PinSettings.deleteOne({ email: normalizedEmail });
-      // you don't touch PIN here; frontend will clear local PIN after success
-      res.json({ success: true });
-    } catch (err) {
-      console.error("PIN reset verify error:", err);
-      res.status(500).json({ error: "Server error" });
+  try {
+    const coupon = await Coupon.findOne({ code }).lean();
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
     }
+
+    const [redemptions, byStatus] = await Promise.all([
+      CouponRedemption.find({ couponId: coupon._id })
+        .sort({ _id: -1 })
+        .limit(200)
+        .lean(),
+      CouponRedemption.aggregate([
+        { $match: { couponId: coupon._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.locals.audit = { target: `coupon:${code}` };
+    return res.json({
+      coupon,
+      counts: Object.fromEntries(byStatus.map((s) => [s._id, s.count])),
+      redemptions,
+    });
+  } catch (err) {
+    console.error("❌ Admin coupon detail error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
-);
+});
 
-// Save or update PIN settings for a user
-app.post("/api/pin/save", express.json(), verifyJwt, async (req, res) => {
-  try {
-    const { email: bodyEmail, pin, areas } = req.body || {};
+// PATCH /api/admin/coupons/:code  { type?, value?, ..., active?, reason }
+// Orders already created keep the price they were given.
+adminRouter.patch("/coupons/:code", async (req, res) => {
+  const code = normalizeCouponCode(req.params.code);
+  const { fields, error } = parseCouponFields(req.body || {}, {
+    partial: true,
+  });
+  if (error) return res.status(400).json({ error });
+  if (!Object.keys(fields).length) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
 
-    // email from JWT is the trusted one
-    const email = (req.user?.email || bodyEmail || "").toLowerCase().trim();
-    if (!email) {
-      return res.status(400).json({ error: "Missing email" });
+  try {
+    const existing = await Coupon.findOne({ code }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: "Coupon not found" });
     }
 
-    if (!Array.isArray(areas)) {
-      return res.status(400).json({ error: "areas must be an array" });
+    // Re-check rules that span fields against the stored values
+    const merged = { ...existing, ...fields };
+    if (merged.type === "percent" && merged.value > 100) {
+      return res
+        .status(400)
+        .json({ error: "A percent coupon can't exceed 100" });
+    }
+    if (merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+      return res.status(400).json({ error: "endsAt must be after startsAt" });
     }
 
-    let update = { areas, updatedAt: new Date() };
+    const coupon = await Coupon.findOneAndUpdate(
+      { code },
+      { $set: fields },
+      { new: true }
+    ).lean();
 
-    if (pin) {
-      if (typeof pin !== "string" || pin.length !== 6) {
-        return res.status(400).json({ error: "PIN must be 6 digits" });
-      }
-      // hash new PIN
-      const pinHash = await bcrypt.hash(pin, 10);
-      update.pinHash = pinHash;
-      if (!update.createdAt) update.createdAt = new Date();
-    }
+    res.locals.audit = {
+      target: `coupon:${code}`,
+      reason: req.body?.reason,
+      changed: Object.keys(fields),
+    };
+    return res.json({ coupon });
+  } catch (err) {
+    console.error("❌ Admin coupon update error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const result = await PinSettings.findOneAndUpdate(
-      { email },
-      { $set: update },
-      { upsert: !!pin, new: true }
-    );
+// POST /api/admin/coupons/:code/disable  { reason }
+// Checkouts already holding a reservation can still complete.
+adminRouter.post("/coupons/:code/disable", async (req, res) => {
+  const code = normalizeCouponCode(req.params.code);
 
-    if (!result) {
-      return res.status(400).json({ error: "PIN not found for update" });
+  try {
+    const result = await Coupon.updateOne(
+      { code },
+      { $set: { active: false } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Coupon not found" });
     }
 
+    res.locals.audit = { target: `coupon:${code}`, reason: req.body?.reason };
     return res.json({ success: true });
   } catch (err) {
-    console.error("PIN save error:", err);
+    console.error("❌ Admin coupon disable error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/pin/verify", express.json(), verifyJwt, async (req, res) => {
-  try {
-    const { email: bodyEmail, pin, areaId } = req.body || {};
+// POST /api/admin/vouchers
+//   { count = 1, kind, days | credits, maxRedemptions = 1, expiresAt?, note }
+// Generates a batch of codes; the response lists them once.
+adminRouter.post("/vouchers", async (req, res) => {
+  const {
+    count = 1,
+    kind,
+    days,
+    credits,
+    maxRedemptions = 1,
+    expiresAt,
+    note,
+  } = req.body || {};
+
+  if (!Number.isInteger(count) || count < 1 || count > 1000) {
+    return res.status(400).json({ error: "count must be 1-1000" });
+  }
+  if (!["premium", "emergency_unlock"].includes(kind)) {
+    return res.status(400).json({ error: "Invalid kind" });
+  }
+  if (kind === "premium" && !(Number.isInteger(days) && days > 0)) {
+    return res.status(400).json({ error: "Premium vouchers need days" });
+  }
+  if (
+    kind === "emergency_unlock" &&
+    !(Number.isInteger(credits) && credits > 0)
+  ) {
+    return res.status(400).json({ error: "Emergency vouchers need credits" });
+  }
+  if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+    return res
+      .status(400)
+      .json({ error: "maxRedemptions must be a positive integer" });
+  }
 
-    const email = (req.user?.email || bodyEmail || "").toLowerCase().trim();
-    if (!email || !pin || !areaId) {
-      return res.status(400).json({ ok: false, error: "Missing fields" });
-    }
+  const batchId = `batch_${Date.now()}_${crypto
+    .randomBytes(3)
+    .toString("hex")}`;
 
-    const settings = await PinSettings.findOne({ email });
-    if (!settings || !settings.pinHash) {
-      return res.status(400).json({ ok: false, error: "PIN not set" });
-    }
+  try {
+    const vouchers = await Voucher.insertMany(
+      Array.from({ length: count }, () => ({
+        code: generateVoucherCode(),
+        batchId,
+        kind,
+        days: kind === "premium" ? days : null,
+        credits: kind === "emergency_unlock" ? credits : null,
+        maxRedemptions,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        note: note || null,
+        createdBy: req.admin.actor,
+      }))
+    );
 
-    // If this area is not protected, treat as allowed
-    if (
-      settings.areas &&
-      !settings.areas.includes(areaId) &&
-      areaId !== "pinmaster"
-    ) {
-      return res.json({ ok: true });
-    }
+    res.locals.audit = { target: `vouchers:${batchId}`, reason: note, count };
+    console.log(
+      `🎁 ${req.admin.actor} generated ${count} vouchers (${batchId})`
+    );
+    return res.json({ batchId, codes: vouchers.map((v) => v.code) });
+  } catch (err) {
+    console.error("❌ Admin voucher create error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const valid = await bcrypt.compare(pin, settings.pinHash);
-    if (!valid) {
-      return res.status(401).json({ ok: false, error: "Incorrect PIN" });
-    }
+// GET /api/admin/vouchers?batchId=&limit=100
+adminRouter.get("/vouchers", async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const filter = req.query.batchId ? { batchId: req.query.batchId } : {};
 
-    return res.json({ ok: true });
+  try {
+    const vouchers = await Voucher.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ vouchers });
   } catch (err) {
-    console.error("PIN verify error:", err);
-    return res.status(500).json({ ok: false, error: "Server error" });
+    console.error("❌ Admin voucher list error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 });
 
-// DELETE PIN on logout
-app.post("/api/pinlogout", verifyJwt, async (req, res) => {
-  try {
-    const email = req.user?.email;
+// GET /api/admin/vouchers/:code — the voucher and who redeemed it
+adminRouter.get("/vouchers/:code", async (req, res) => {
+  const code = req.params.code.toUpperCase().trim();
 
-    if (!email) {
-      return res.status(401).json({ error: "Unauthorized" });
+  try {
+    const voucher = await Voucher.findOne({ code }).lean();
+    if (!voucher) {
+      return res.status(404).json({ error: "Voucher not found" });
     }
 
-    await PinSettings.deleteOne({ email });
-    await Otp.deleteMany({ email, purpose: "pinreset" });
+    const redemptions = await VoucherRedemption.find({ voucherId: voucher._id })
+      .sort({ redeemedAt: -1 })
+      .lean();
 
-    console.log("PIN deleted for user on logout:", email);
+    res.locals.audit = { target: `voucher:${code}` };
+    return res.json({ voucher, redemptions });
+  } catch (err) {
+    console.error("❌ Admin voucher detail error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    return res.json({
-      success: true,
-      message: "PIN cleared successfully",
-    });
+// POST /api/admin/vouchers/:code/disable  { reason }
+adminRouter.post("/vouchers/:code/disable", async (req, res) => {
+  const code = req.params.code.toUpperCase().trim();
+
+  try {
+    const result = await Voucher.updateOne(
+      { code },
+      { $set: { active: false } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Voucher not found" });
+    }
+
+    res.locals.audit = { target: `voucher:${code}`, reason: req.body?.reason };
+    return res.json({ success: true });
   } catch (err) {
-    console.error("PIN logout error:", err);
+    console.error("❌ Admin voucher disable error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
+app.use("/api/admin", adminRouter);
+
 app.get("/payment-callback", (req, res) => {
   res.send("OK");
 });
 
 // ------------------------------------------------------
-app.listen(PORT, () => {
-  console.log(`🚀 Backend running on http://localhost:${PORT}`);
-});
+// Tests (NODE_ENV=test) import the app and start it themselves
+if (process.env.NODE_ENV !== "test") {
+  connectDatabase()
+    .then(() => scheduler.start())
+    .catch((err) => console.error("❌ MongoDB connection error:", err));
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Backend running on http://localhost:${PORT}`);
+    console.log(`💳 PayPal mode: ${PAYPAL_MODE}`);
+    console.log(`🔐 Auth mode: ${AUTH_MODE}`);
+  });
+}
+
+export { app, razorpay, connectDatabase };
@@ -0,0 +1,102 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import { startServer, paymentLinkPaid } from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+const EMAIL = "leaving@example.com";
+const PASSWORD = "correct horse";
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(async () => {
+  await server.reset();
+  await model("User").create({
+    email: EMAIL,
+    name: "Leaving",
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+  });
+});
+
+async function signIn() {
+  const login = await server.request("POST", "/api/auth/login", {
+    body: { email: EMAIL, password: PASSWORD },
+  });
+  assert.equal(login.status, 200);
+  return { authorization: `Bearer ${login.body.jwt}` };
+}
+
+// ------------------------------------------------------
+// Account deletion (user-024)
+// ------------------------------------------------------
+test("deletion keeps the ledger but strips the payer from its payloads", async () => {
+  const payment = paymentLinkPaid({
+    paymentId: "pay_kept",
+    email: EMAIL,
+    amount: 1200,
+    plan: "monthly",
+  });
+  payment.payload.payment.entity.contact = "+919999999999";
+  payment.payload.payment.entity.notes = { email: EMAIL };
+  await server.webhook(payment);
+
+  const res = await server.request("POST", "/api/me/delete", {
+    body: { password: PASSWORD },
+    headers: await signIn(),
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.retained.payments, 1);
+
+  assert.equal(await model("User").countDocuments(), 0);
+  const [entry] = await model("Payment").find().lean();
+  assert.equal(entry.email, EMAIL);
+  assert.equal(entry.payload.payment.entity.id, "pay_kept");
+  assert.equal(entry.payload.payment.entity.amount, 1200);
+
+  const payload = JSON.stringify(entry.payload);
+  assert.ok(!payload.includes(EMAIL), payload);
+  assert.ok(!payload.includes("+919999999999"), payload);
+});
+
+test("a deletion that failed half-way can be repeated", async () => {
+  await server.webhook(
+    paymentLinkPaid({
+      paymentId: "pay_retry",
+      email: EMAIL,
+      amount: 1200,
+      plan: "monthly",
+    })
+  );
+  const headers = await signIn();
+
+  // Simulate a crash after anonymizing: the account still exists
+  const Payment = model("Payment");
+  const bulkWrite = Payment.bulkWrite;
+  Payment.bulkWrite = () => Promise.reject(new Error("connection lost"));
+  try {
+    const failed = await server.request("POST", "/api/me/delete", {
+      body: { password: PASSWORD },
+      headers,
+    });
+    assert.equal(failed.status, 500);
+  } finally {
+    Payment.bulkWrite = bulkWrite;
+  }
+  assert.equal(await model("User").countDocuments(), 1);
+
+  const retried = await server.request("POST", "/api/me/delete", {
+    body: { password: PASSWORD },
+    headers,
+  });
+  assert.equal(retried.status, 200);
+  assert.equal(await model("User").countDocuments(), 0);
+  assert.equal(
+    await model("SubscriptionTerm").countDocuments({ email: EMAIL }),
+    0
+  );
+});
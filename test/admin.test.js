@@ -0,0 +1,62 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, ADMIN_KEY } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(() => server.reset());
+
+const putPlan = (planId, body) =>
+  server.request("PUT", `/api/admin/plans/${planId}`, {
+    body,
+    headers: { "x-admin-key": ADMIN_KEY },
+  });
+
+// ------------------------------------------------------
+// Plan catalog edits (user-012)
+// ------------------------------------------------------
+test("plan edits reject fields of the wrong type or range", async () => {
+  for (const body of [
+    { durationDays: "abc" },
+    { durationDays: -1 },
+    { credits: 0 },
+    { seats: 2.5 },
+    { currency: "rupees" },
+    { prices: { USD: "1.99" } },
+    { recurring: { period: "fortnightly", totalCount: 3 } },
+  ]) {
+    const res = await putPlan("monthly", body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+
+  const ok = await putPlan("monthly", {
+    durationDays: 31,
+    currency: "inr",
+    recurring: { period: "monthly", totalCount: 12 },
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.plan.currency, "INR");
+  assert.deepEqual(ok.body.plan.recurring, {
+    period: "monthly",
+    interval: 1,
+    totalCount: 12,
+  });
+});
+
+test("a new plan needs its pricing fields", async () => {
+  const bare = await putPlan("weekly", { durationDays: 7 });
+  assert.equal(bare.status, 400);
+
+  const created = await putPlan("weekly", {
+    amountPaise: 400,
+    currency: "INR",
+    entitlement: "premium",
+    durationDays: 7,
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.plan.id, "weekly");
+});
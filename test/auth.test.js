@@ -0,0 +1,172 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import { createOtpService } from "../otp.js";
+import { startServer, outbox } from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+const EMAIL = "member@example.com";
+const PASSWORD = "correct horse";
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(async () => {
+  await server.reset();
+  await model("User").create({
+    email: EMAIL,
+    name: "Member",
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+  });
+});
+
+// ------------------------------------------------------
+// Refresh tokens (user-020)
+// ------------------------------------------------------
+test("refresh rotates the token and a reused one revokes the session", async () => {
+  const login = await server.request("POST", "/api/auth/login", {
+    body: { email: EMAIL, password: PASSWORD, deviceId: "laptop" },
+  });
+  assert.equal(login.status, 200);
+  const original = login.body.refreshToken;
+
+  const rotated = await server.request("POST", "/api/auth/refresh", {
+    body: { refreshToken: original },
+  });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, original);
+
+  const sessions = () =>
+    server.request("GET", "/api/auth/sessions", {
+      headers: { authorization: `Bearer ${rotated.body.jwt}` },
+    });
+  assert.equal((await sessions()).status, 200);
+
+  // Replaying the rotated-out token means it leaked
+  const replay = await server.request("POST", "/api/auth/refresh", {
+    body: { refreshToken: original },
+  });
+  assert.equal(replay.status, 401);
+
+  const session = await model("Session").findOne({ email: EMAIL });
+  assert.equal(session.revokedReason, "refresh_reuse");
+
+  // ...which ends the session for the legitimate holder too
+  const next = await server.request("POST", "/api/auth/refresh", {
+    body: { refreshToken: rotated.body.refreshToken },
+  });
+  assert.equal(next.status, 401);
+  assert.equal((await sessions()).status, 401);
+});
+
+// ------------------------------------------------------
+// OTP attempt limits (user-025)
+// ------------------------------------------------------
+test("a code is burned after too many wrong guesses", async () => {
+  const otps = createOtpService({
+    Otp: model("Otp"),
+    OtpGuard: model("OtpGuard"),
+    secret: "test",
+    ttlMinutes: { pin_reset: 5 },
+    env: { OTP_MAX_ATTEMPTS: "3", OTP_MAX_FAILURES: "10" },
+  });
+
+  const { code } = await otps.issue(EMAIL, "pin_reset");
+  const wrong = code === "000000" ? "111111" : "000000";
+
+  const left = [];
+  for (let i = 0; i < 3; i++) {
+    left.push((await otps.verify(EMAIL, "pin_reset", wrong)).attemptsLeft);
+  }
+  assert.deepEqual(left, [2, 1, 0]);
+
+  const late = await otps.verify(EMAIL, "pin_reset", code);
+  assert.equal(late.ok, false);
+  assert.equal(late.reason, "invalid");
+});
+
+test("a mistyped limit falls back to its default", async () => {
+  const otps = createOtpService({
+    Otp: model("Otp"),
+    OtpGuard: model("OtpGuard"),
+    secret: "test",
+    ttlMinutes: { pin_reset: 5 },
+    env: { OTP_MAX_ATTEMPTS: "five", OTP_MAX_SENDS: "6x" },
+  });
+
+  const { code } = await otps.issue(EMAIL, "pin_reset");
+  // Codes are six digits, so "0" is always wrong
+  const wrong = await otps.verify(EMAIL, "pin_reset", "0");
+  assert.equal(wrong.attemptsLeft, 4);
+
+  // Throttling is still on: an immediate resend is refused
+  await assert.rejects(otps.issue(EMAIL, "pin_reset"), { statusCode: 429 });
+  assert.equal((await otps.verify(EMAIL, "pin_reset", code)).ok, true);
+});
+
+test("an email is locked out after too many failures across codes", async () => {
+  const otps = createOtpService({
+    Otp: model("Otp"),
+    OtpGuard: model("OtpGuard"),
+    secret: "test",
+    ttlMinutes: { pin_reset: 5 },
+    env: {
+      OTP_MAX_ATTEMPTS: "3",
+      OTP_MAX_FAILURES: "4",
+      OTP_RESEND_SECONDS: "0",
+    },
+  });
+
+  const first = await otps.issue(EMAIL, "pin_reset");
+  for (let i = 0; i < 3; i++) {
+    await otps.verify(EMAIL, "pin_reset", first.code === "000000" ? "1" : "0");
+  }
+
+  // A fresh code only buys the guesses left in the window
+  const second = await otps.issue(EMAIL, "pin_reset");
+  await otps.verify(EMAIL, "pin_reset", second.code === "000000" ? "1" : "0");
+
+  const locked = await otps.verify(EMAIL, "pin_reset", second.code);
+  assert.equal(locked.ok, false);
+  assert.equal(locked.reason, "locked");
+  assert.ok(locked.retryAfter > 0);
+});
+
+test("password reset answers 429 once the email is locked out", async () => {
+  const forgot = await server.request("POST", "/api/auth/password/forgot", {
+    body: { email: EMAIL },
+  });
+  assert.equal(forgot.status, 200);
+
+  const [mail] = await outbox();
+  const code = /\b(\d{6})\b/.exec(mail.text)[1];
+  const wrong = code === "000000" ? "111111" : "000000";
+  const reset = (guess) =>
+    server.request("POST", "/api/auth/password/reset", {
+      body: { email: EMAIL, code: guess, password: "new password" },
+    });
+
+  const attempts = [];
+  for (let i = 0; i < 5; i++) attempts.push((await reset(wrong)).body);
+  assert.deepEqual(
+    attempts.map((a) => a.attemptsLeft),
+    [4, 3, 2, 1, 0]
+  );
+
+  // Burned: the right code no longer works
+  assert.equal((await reset(code)).status, 400);
+
+  // Failures from earlier codes in the window push it over the limit
+  await model("OtpGuard").updateOne(
+    { email: EMAIL },
+    { $set: { failures: 10 } }
+  );
+  const locked = await reset(code);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, "otp_locked");
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+});
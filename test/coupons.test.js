@@ -0,0 +1,144 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { startServer, checkoutSignature, ADMIN_KEY } from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(() => server.reset());
+
+function createOrder(email, coupon) {
+  return server.request("POST", "/api/create-order", {
+    body: { email, plan: "monthly", coupon },
+  });
+}
+
+const statuses = (responses) =>
+  responses.map((r) => r.status).sort((a, b) => a - b);
+
+// ------------------------------------------------------
+// Coupon caps and redemption (user-010)
+// ------------------------------------------------------
+test("parallel checkouts can't exceed a coupon's global cap", async () => {
+  await model("Coupon").create({
+    code: "LAUNCH",
+    type: "percent",
+    value: 10,
+    maxRedemptions: 3,
+    perUserLimit: null,
+  });
+
+  const responses = await Promise.all(
+    Array.from({ length: 8 }, (_, i) =>
+      createOrder(`buyer${i}@example.com`, "launch")
+    )
+  );
+
+  assert.deepEqual(
+    statuses(responses),
+    [200, 200, 200, 400, 400, 400, 400, 400]
+  );
+  for (const res of responses.filter((r) => r.status === 200)) {
+    assert.equal(res.body.amount, 1080);
+  }
+
+  const coupon = await model("Coupon").findOne({ code: "LAUNCH" });
+  assert.equal(coupon.redeemedCount, 3);
+  assert.equal(
+    await model("CouponRedemption").countDocuments({ status: "reserved" }),
+    3
+  );
+});
+
+test("parallel checkouts can't exceed the per-user limit", async () => {
+  await model("Coupon").create({
+    code: "ONCE",
+    type: "fixed",
+    value: 200,
+    currency: "INR",
+    perUserLimit: 1,
+  });
+
+  const responses = await Promise.all(
+    Array.from({ length: 5 }, () => createOrder("same@example.com", "ONCE"))
+  );
+
+  assert.deepEqual(statuses(responses), [200, 400, 400, 400, 400]);
+  const coupon = await model("Coupon").findOne({ code: "ONCE" });
+  assert.equal(coupon.redeemedCount, 1);
+  assert.equal(
+    await model("CouponRedemption").countDocuments({
+      status: { $ne: "released" },
+    }),
+    1
+  );
+});
+
+test("paying a discounted order turns its reservation into a redemption", async () => {
+  await model("Coupon").create({ code: "TENOFF", type: "percent", value: 10 });
+  const order = await createOrder("paid@example.com", "TENOFF");
+  assert.equal(order.body.amount, 1080);
+
+  const res = await server.request("POST", "/api/verify-payment", {
+    body: {
+      razorpay_order_id: order.body.order_id,
+      razorpay_payment_id: "pay_coupon",
+      razorpay_signature: checkoutSignature(order.body.order_id, "pay_coupon"),
+      email: "paid@example.com",
+    },
+  });
+  assert.equal(res.status, 200);
+
+  const redemption = await model("CouponRedemption").findOne({
+    orderRef: order.body.order_id,
+  });
+  assert.equal(redemption.status, "redeemed");
+  assert.equal(redemption.paymentId, "pay_coupon");
+  assert.equal((await model("Coupon").findOne()).redeemedCount, 1);
+});
+
+// ------------------------------------------------------
+// Admin coupon management (user-010)
+// ------------------------------------------------------
+test("admins create, update and disable coupons with an audit trail", async () => {
+  const admin = (method, url, body) =>
+    server.request(method, `/api/admin/coupons${url}`, {
+      body,
+      headers: { "x-admin-key": ADMIN_KEY },
+    });
+
+  const created = await admin("POST", "", {
+    code: "spring",
+    type: "percent",
+    value: 20,
+    reason: "spring sale",
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.coupon.code, "SPRING");
+
+  const duplicate = await admin("POST", "", {
+    code: "SPRING",
+    type: "percent",
+    value: 5,
+  });
+  assert.equal(duplicate.status, 409);
+
+  const tooMuch = await admin("PATCH", "/spring", { value: 150 });
+  assert.equal(tooMuch.status, 400);
+
+  assert.equal((await admin("POST", "/spring/disable", {})).status, 200);
+  const validate = await server.request("POST", "/api/coupons/validate", {
+    body: { code: "SPRING", plan: "monthly" },
+  });
+  assert.equal(validate.body.valid, false);
+
+  // Audit rows are written once each response has been sent
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const audit = await model("AdminAudit").find({ target: "coupon:SPRING" });
+  assert.ok(audit.some((a) => a.reason === "spring sale"));
+});
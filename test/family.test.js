@@ -0,0 +1,121 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { startServer, paymentLinkPaid, assertNear, DAY_MS } from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+const OWNER = "owner@example.com";
+const MEMBER = "member@example.com";
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(() => server.reset());
+
+function buy(plan, amount, paymentId) {
+  return server.webhook(
+    paymentLinkPaid({ paymentId, email: OWNER, amount, plan })
+  );
+}
+
+async function join() {
+  const group = await model("FamilyGroup").findOne({ ownerEmail: OWNER });
+  await model("FamilyMember").create({
+    groupId: group._id,
+    email: MEMBER,
+    status: "active",
+    joinedAt: new Date(),
+  });
+  return group;
+}
+
+const memberStatus = async () =>
+  (
+    await server.request(
+      "GET",
+      `/api/check-payment-status?email=${encodeURIComponent(MEMBER)}`
+    )
+  ).body;
+
+// ------------------------------------------------------
+// Family term (user-014)
+// ------------------------------------------------------
+test("members are covered until the family term ends", async () => {
+  await buy("family_yearly", 30000, "pay_family");
+  const group = await join();
+  assertNear(group.expiresAt, Date.now() + 365 * DAY_MS, "family term");
+  assert.equal(group.seats, 5);
+
+  const status = await memberStatus();
+  assert.equal(status.status, "paid");
+  assert.equal(status.via, "family");
+});
+
+test("renewing on a single-seat plan doesn't extend the family", async () => {
+  await buy("family_yearly", 30000, "pay_family");
+  await join();
+
+  // The family term ran out; the owner renews monthly
+  const past = new Date(Date.now() - 30 * DAY_MS);
+  await model("FamilyGroup").updateOne({}, { $set: { expiresAt: past } });
+  await model("PaidUser").updateOne({}, { $set: { expiresAt: past } });
+  await buy("monthly", 1200, "pay_monthly");
+
+  const owner = await model("PaidUser").findOne({ email: OWNER });
+  assertNear(owner.expiresAt, Date.now() + 30 * DAY_MS, "owner renewed");
+  assert.notEqual((await memberStatus()).status, "paid");
+});
+
+test("a lapsed group restarts with the new plan's seats", async () => {
+  await model("AppConfig").create({
+    key: "subscription_plans",
+    value: {
+      family_small: {
+        amountPaise: 20000,
+        currency: "INR",
+        durationDays: 365,
+        seats: 3,
+        entitlement: "premium",
+      },
+    },
+  });
+
+  await buy("family_yearly", 30000, "pay_big");
+  await buy("family_small", 20000, "pay_small");
+  let group = await model("FamilyGroup").findOne({ ownerEmail: OWNER });
+  assert.equal(group.seats, 5, "seats don't shrink mid-term");
+
+  await model("FamilyGroup").updateOne(
+    {},
+    { $set: { expiresAt: new Date(Date.now() - DAY_MS) } }
+  );
+  await buy("family_small", 20000, "pay_small_again");
+  group = await model("FamilyGroup").findOne({ ownerEmail: OWNER });
+  assert.equal(group.seats, 3);
+});
+
+test("refunding the family plan takes the time back from the group", async () => {
+  await buy("family_yearly", 30000, "pay_family");
+  await join();
+
+  await server.webhook({
+    event: "refund.processed",
+    payload: {
+      refund: {
+        entity: {
+          id: "rfnd_family",
+          payment_id: "pay_family",
+          amount: 30000,
+          currency: "INR",
+        },
+      },
+    },
+  });
+
+  const group = await model("FamilyGroup").findOne({ ownerEmail: OWNER });
+  assertNear(group.expiresAt, Date.now(), "family term revoked");
+  assert.notEqual((await memberStatus()).status, "paid");
+});
@@ -0,0 +1,148 @@
+// ------------------------------------------------------
+// Test harness: in-memory MongoDB + Razorpay mock + the app on a free port
+// ------------------------------------------------------
+// server.js reads its configuration when it is loaded, so the environment
+// is set here and the server is only imported inside startServer().
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const KEY_SECRET = "test_key_secret";
+export const WEBHOOK_SECRET = "test_webhook_secret";
+export const ADMIN_KEY = "test_admin_key";
+export const OUTBOX_DIR = path.join(os.tmpdir(), `outbox-${process.pid}`);
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  RAZORPAY_MOCK: "true",
+  RAZORPAY_KEY_SECRET: KEY_SECRET,
+  RAZORPAY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  JWT_SECRET: "test_jwt_secret",
+  ADMIN_API_KEY: ADMIN_KEY,
+  MAIL_TRANSPORTS: "outbox",
+  MAIL_OUTBOX_DIR: OUTBOX_DIR,
+});
+
+export async function startServer() {
+  // Without network access to fastdl.mongodb.org, MONGOMS_SYSTEM_BINARY
+  // must name a local mongod (see README)
+  const mongo = await MongoMemoryServer.create().catch((err) => {
+    throw new Error(
+      `Couldn't start mongod: ${err.message}. Set MONGOMS_SYSTEM_BINARY.`
+    );
+  });
+  const { app, razorpay, connectDatabase } = await import("../server.js");
+  await connectDatabase(mongo.getUri());
+  // Unique indexes back the idempotency checks, so wait for all of them
+  await Promise.all(Object.values(mongoose.models).map((m) => m.init()));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request; a string body is sent as is (raw webhook payloads)
+  async function request(method, url, { body, headers = {} } = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: { "content-type": "application/json", ...headers },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // not JSON (e.g. a plain-text rate limit message)
+    }
+    return { status: res.status, headers: res.headers, body: json };
+  }
+
+  return {
+    razorpay,
+    request,
+
+    // Deliver a Razorpay webhook with a valid signature
+    webhook(payload, eventId = `evt_${crypto.randomBytes(6).toString("hex")}`) {
+      const raw = JSON.stringify(payload);
+      return request("POST", "/api/razorpay/webhook", {
+        body: raw,
+        headers: {
+          "x-razorpay-signature": crypto
+            .createHmac("sha256", WEBHOOK_SECRET)
+            .update(raw)
+            .digest("hex"),
+          "x-razorpay-event-id": eventId,
+        },
+      });
+    },
+
+    // Empty every collection; indexes stay in place
+    async reset() {
+      const collections = await mongoose.connection.db.collections();
+      await Promise.all(collections.map((c) => c.deleteMany({})));
+      await fs.rm(OUTBOX_DIR, { recursive: true, force: true });
+    },
+
+    async stop() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await mongoose.disconnect();
+      await mongo.stop();
+      await fs.rm(OUTBOX_DIR, { recursive: true, force: true });
+    },
+  };
+}
+
+// Razorpay payment_link.paid payload for a catalog plan
+export function paymentLinkPaid({ paymentId, email, amount, plan }) {
+  return {
+    event: "payment_link.paid",
+    payload: {
+      payment: {
+        entity: { id: paymentId, email, amount, currency: "INR" },
+      },
+      payment_link: {
+        entity: { id: `plink_${paymentId}`, notes: plan ? { plan } : {} },
+      },
+    },
+  };
+}
+
+// Signature the checkout returns to /api/verify-payment
+export function checkoutSignature(orderId, paymentId) {
+  return crypto
+    .createHmac("sha256", KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest("hex");
+}
+
+// Messages the outbox transport wrote, oldest first
+export async function outbox() {
+  const files = await fs.readdir(OUTBOX_DIR).catch(() => []);
+  const messages = await Promise.all(
+    files
+      .sort()
+      .map(async (f) => JSON.parse(await fs.readFile(path.join(OUTBOX_DIR, f))))
+  );
+  return messages;
+}
+
+// Asserts two instants are within a minute of each other
+export function assertNear(actual, expected, message) {
+  const diff = Math.abs(new Date(actual) - new Date(expected));
+  if (diff > 60 * 1000) {
+    throw new Error(
+      `${message || "dates differ"}: ${new Date(
+        actual
+      ).toISOString()} vs ${new Date(expected).toISOString()}`
+    );
+  }
+}
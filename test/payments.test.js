@@ -0,0 +1,244 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  startServer,
+  paymentLinkPaid,
+  checkoutSignature,
+  assertNear,
+  DAY_MS,
+} from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(() => server.reset());
+
+// ------------------------------------------------------
+// Payment ledger (user-001)
+// ------------------------------------------------------
+test("a replayed webhook delivery grants premium once", async () => {
+  const payload = paymentLinkPaid({
+    paymentId: "pay_replay",
+    email: "replay@example.com",
+    amount: 1200,
+    plan: "monthly",
+  });
+
+  const first = await server.webhook(payload, "evt_replay");
+  const second = await server.webhook(payload, "evt_replay");
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.duplicate, true);
+
+  const entries = await model("Payment").find({ paymentId: "pay_replay" });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].status, "processed");
+
+  const user = await model("PaidUser").findOne({ email: "replay@example.com" });
+  assertNear(user.expiresAt, Date.now() + 30 * DAY_MS, "one term only");
+  assert.equal(await model("SubscriptionTerm").countDocuments(), 1);
+});
+
+test("concurrent deliveries of one event grant premium once", async () => {
+  const payload = paymentLinkPaid({
+    paymentId: "pay_race",
+    email: "race@example.com",
+    amount: 1200,
+    plan: "monthly",
+  });
+
+  const responses = await Promise.all(
+    Array.from({ length: 4 }, () => server.webhook(payload, "evt_race"))
+  );
+
+  // The loser of a race is told to retry (409) or sees the finished entry
+  for (const res of responses) assert.ok([200, 409].includes(res.status));
+  assert.equal(await model("Payment").countDocuments(), 1);
+  assert.equal(await model("SubscriptionTerm").countDocuments(), 1);
+});
+
+// ------------------------------------------------------
+// Server-side pricing (user-003)
+// ------------------------------------------------------
+test("create-order prices from the catalog and ignores a client amount", async () => {
+  const res = await server.request("POST", "/api/create-order", {
+    body: { email: "buyer@example.com", plan: "yearly", amount: 100 },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.amount, 12000);
+  assert.equal(res.body.currency, "INR");
+});
+
+test("a verified order for the catalog price grants the plan", async () => {
+  const order = await server.request("POST", "/api/create-order", {
+    body: { email: "buyer@example.com", plan: "yearly" },
+  });
+
+  const res = await server.request("POST", "/api/verify-payment", {
+    body: {
+      razorpay_order_id: order.body.order_id,
+      razorpay_payment_id: "pay_ok",
+      razorpay_signature: checkoutSignature(order.body.order_id, "pay_ok"),
+      email: "buyer@example.com",
+    },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.plan, "yearly");
+  assertNear(res.body.expiresAt, Date.now() + 365 * DAY_MS);
+});
+
+test("verify-payment grants the order's email and rejects any other", async () => {
+  const order = await server.request("POST", "/api/create-order", {
+    body: { email: "buyer@example.com", plan: "monthly" },
+  });
+  const verify = (email) =>
+    server.request("POST", "/api/verify-payment", {
+      body: {
+        razorpay_order_id: order.body.order_id,
+        razorpay_payment_id: "pay_owner",
+        razorpay_signature: checkoutSignature(order.body.order_id, "pay_owner"),
+        email,
+      },
+    });
+
+  assert.equal((await verify("someone-else@example.com")).status, 403);
+  assert.equal(await model("Payment").countDocuments(), 0);
+
+  assert.equal((await verify(undefined)).status, 200);
+  const [user] = await model("PaidUser").find();
+  assert.equal(user.email, "buyer@example.com");
+});
+
+test("an order whose amount doesn't match its plan is flagged", async () => {
+  // Created outside /api/create-order, e.g. by a tampered client
+  const order = await server.razorpay.orders.create({
+    amount: 100,
+    currency: "INR",
+    notes: { email: "cheat@example.com", plan: "yearly" },
+  });
+
+  const res = await server.request("POST", "/api/verify-payment", {
+    body: {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: "pay_cheap",
+      razorpay_signature: checkoutSignature(order.id, "pay_cheap"),
+      email: "cheat@example.com",
+    },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.status, "flagged");
+
+  const entry = await model("Payment").findOne({ paymentId: "pay_cheap" });
+  assert.equal(entry.status, "flagged");
+  assert.equal(entry.reason, "amount_mismatch");
+  assert.equal(await model("PaidUser").countDocuments(), 0);
+});
+
+test("a payment link paid below its plan price is flagged", async () => {
+  const res = await server.webhook(
+    paymentLinkPaid({
+      paymentId: "pay_short",
+      email: "short@example.com",
+      amount: 1200,
+      plan: "yearly",
+    })
+  );
+
+  assert.equal(res.status, 200);
+  const entry = await model("Payment").findOne({ paymentId: "pay_short" });
+  assert.equal(entry.status, "flagged");
+  assert.equal(entry.reason, "amount_mismatch");
+  assert.equal(await model("PaidUser").countDocuments(), 0);
+});
+
+// ------------------------------------------------------
+// Renewal stacking (user-004)
+// ------------------------------------------------------
+test("renewing early adds the new term after the remaining time", async () => {
+  const email = "stack@example.com";
+  for (const paymentId of ["pay_first", "pay_second"]) {
+    const res = await server.webhook(
+      paymentLinkPaid({ paymentId, email, amount: 1200, plan: "monthly" })
+    );
+    assert.equal(res.status, 200);
+  }
+
+  const user = await model("PaidUser").findOne({ email });
+  assertNear(user.expiresAt, Date.now() + 60 * DAY_MS, "two stacked terms");
+
+  const [first, second] = await model("SubscriptionTerm")
+    .find({ email })
+    .sort({ createdAt: 1 });
+  assert.equal(second.startsAt.getTime(), first.expiresAt.getTime());
+});
+
+test("renewing after expiry starts the new term now", async () => {
+  const email = "lapsed@example.com";
+  await model("PaidUser").create({
+    email,
+    amount: 1200,
+    expiresAt: new Date(Date.now() - 10 * DAY_MS),
+  });
+
+  await server.webhook(
+    paymentLinkPaid({
+      paymentId: "pay_lapsed",
+      email,
+      amount: 1200,
+      plan: "monthly",
+    })
+  );
+
+  const user = await model("PaidUser").findOne({ email });
+  assertNear(user.expiresAt, Date.now() + 30 * DAY_MS, "no credit for gap");
+});
+
+// ------------------------------------------------------
+// Recurring subscriptions (user-006)
+// ------------------------------------------------------
+test("halting a replaced subscription leaves the current one renewing", async () => {
+  const email = "renewing@example.com";
+  for (const subscriptionId of ["sub_old", "sub_new"]) {
+    await model("RazorpaySubscription").create({
+      subscriptionId,
+      email,
+      plan: "monthly",
+      razorpayPlanId: "plan_monthly",
+      amount: 1200,
+      currency: "INR",
+      status: "active",
+    });
+  }
+  await model("PaidUser").create({
+    email,
+    amount: 1200,
+    expiresAt: new Date(Date.now() + 10 * DAY_MS),
+    autoRenew: true,
+    subscriptionId: "sub_new",
+  });
+
+  const halted = (id) =>
+    server.webhook({
+      event: "subscription.halted",
+      payload: { subscription: { entity: { id, status: "halted" } } },
+    });
+
+  assert.equal((await halted("sub_old")).status, 200);
+  let user = await model("PaidUser").findOne({ email });
+  assert.equal(user.autoRenew, true);
+  assert.equal(user.subscriptionId, "sub_new");
+
+  await halted("sub_new");
+  user = await model("PaidUser").findOne({ email });
+  assert.equal(user.autoRenew, false);
+  assert.equal(user.subscriptionId, null);
+});
@@ -0,0 +1,165 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { startServer, paymentLinkPaid, assertNear, DAY_MS } from "./helpers.js";
+
+let server;
+const model = (name) => mongoose.model(name);
+
+const EMAIL = "refund@example.com";
+const YEAR_MS = 365 * DAY_MS;
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+beforeEach(() => server.reset());
+
+async function buy(plan, amount, paymentId = "pay_buy") {
+  const res = await server.webhook(
+    paymentLinkPaid({ paymentId, email: EMAIL, amount, plan })
+  );
+  assert.equal(res.status, 200);
+  return model("Payment").findOne({ paymentId });
+}
+
+function refund(id, amount, paymentId = "pay_buy") {
+  return server.webhook({
+    event: "refund.processed",
+    payload: {
+      refund: {
+        entity: { id, payment_id: paymentId, amount, currency: "INR" },
+      },
+    },
+  });
+}
+
+function dispute(event, paymentId = "pay_buy") {
+  return server.webhook({
+    event,
+    payload: {
+      dispute: {
+        entity: {
+          id: "disp_1",
+          payment_id: paymentId,
+          amount: 12000,
+          currency: "INR",
+        },
+      },
+    },
+  });
+}
+
+const paidUntil = async () =>
+  (await model("PaidUser").findOne({ email: EMAIL })).expiresAt;
+
+// ------------------------------------------------------
+// Refunds and disputes (user-007)
+// ------------------------------------------------------
+test("a partial refund takes back the same share of the term", async () => {
+  await buy("yearly", 12000);
+  const start = Date.now();
+
+  assert.equal((await refund("rfnd_1", 3000)).status, 200);
+  assertNear(await paidUntil(), start + YEAR_MS * 0.75, "quarter removed");
+
+  let entry = await model("Payment").findOne({ paymentId: "pay_buy" });
+  assert.equal(entry.refundedAmount, 3000);
+  assert.equal(entry.status, "processed");
+
+  // The rest of the payment, then a refund with nothing left to take
+  await refund("rfnd_2", 9000);
+  await refund("rfnd_3", 1000);
+  assertNear(await paidUntil(), start, "whole term removed");
+
+  entry = await model("Payment").findOne({ paymentId: "pay_buy" });
+  assert.equal(entry.refundedAmount, 12000);
+  assert.equal(entry.status, "revoked");
+  assert.equal(entry.revocations.length, 2);
+});
+
+test("a won dispute reinstates what the dispute revoked", async () => {
+  await buy("yearly", 12000);
+  const start = Date.now();
+
+  await dispute("payment.dispute.created");
+  assertNear(await paidUntil(), start, "revoked while disputed");
+
+  await dispute("payment.dispute.won");
+  assertNear(await paidUntil(), start + YEAR_MS, "term restored");
+
+  const entry = await model("Payment").findOne({ paymentId: "pay_buy" });
+  assert.equal(entry.refundedAmount, 0);
+  assert.equal(entry.status, "processed");
+  assert.ok(entry.revocations.every((r) => r.reinstated));
+
+  // A repeated "won" restores nothing more
+  await dispute("payment.dispute.won");
+  assertNear(await paidUntil(), start + YEAR_MS, "restored once");
+});
+
+test("a refund and a dispute arriving together revoke the term once", async () => {
+  await buy("yearly", 12000);
+  const start = Date.now();
+
+  const responses = await Promise.all([
+    refund("rfnd_race", 6000),
+    dispute("payment.dispute.created"),
+  ]);
+  for (const res of responses) assert.equal(res.status, 200);
+
+  const entry = await model("Payment").findOne({ paymentId: "pay_buy" });
+  assert.equal(entry.refundedAmount, 12000);
+  assert.equal(
+    entry.revocations.reduce((sum, r) => sum + r.amount, 0),
+    12000
+  );
+
+  const term = await model("SubscriptionTerm").findOne({ email: EMAIL });
+  assert.equal(term.revokedMs, term.expiresAt - term.startsAt);
+  assertNear(await paidUntil(), start, "nothing removed twice");
+});
+
+test("a partial refund revokes a matching share of unused credits", async () => {
+  await model("AppConfig").create({
+    key: "subscription_plans",
+    value: { emergency: { credits: 4 } },
+  });
+  await buy("emergency", 2900);
+
+  const unlocks = () =>
+    model("EmergencyUnlock").countDocuments({ email: EMAIL, status: "paid" });
+  assert.equal(await unlocks(), 4);
+
+  await refund("rfnd_half", 1450);
+  assert.equal(await unlocks(), 2);
+
+  await refund("rfnd_rest", 1450);
+  assert.equal(await unlocks(), 0);
+});
+
+test("consuming a credit keeps its record for later refunds", async () => {
+  await model("AppConfig").create({
+    key: "subscription_plans",
+    value: { emergency: { credits: 4 } },
+  });
+  await buy("emergency", 2900);
+
+  const consume = await server.request(
+    "GET",
+    `/api/check-emergency-status?email=${EMAIL}`
+  );
+  assert.equal(consume.body.status, "paid");
+
+  const consumed = await model("EmergencyUnlock").find({ status: "consumed" });
+  assert.equal(consumed.length, 1);
+  assert.ok(consumed[0].consumedAt);
+
+  // Half the payment back takes half of the three unused credits, rounded up
+  await refund("rfnd_half", 1450);
+  const count = (status) =>
+    model("EmergencyUnlock").countDocuments({ email: EMAIL, status });
+  assert.equal(await count("revoked"), 2);
+  assert.equal(await count("paid"), 1);
+  assert.equal(await count("consumed"), 1);
+});